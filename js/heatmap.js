@@ -26,17 +26,101 @@
  *   root_node: each node must contain the following attributes:
  *		 label:     label displayed in the chart
  *		 values:    array of values associated with this node. Opts.value_index indicate what value to render. Index 0 by default.
+ *		            Values can be missing (undefined, null or NaN) or negative.
  *		 children:  collection of node objects, or undefined for leaf nodes
+ *		 has_children: true for nodes whose children are loaded on demand, see opts.load_children
  *
  *   opts:
  *		title:				chart title
  *		depth:				max depth to render. Heatmap will remder from root_node down up to level max_depth. depth >= 1
- *		value_index:		what index in the array of values of each node to render. Defaults to 0.
- *		unit: 				what unit to start with. One of: 'NONE', 'CURRENCY', 'PERCENT'
+ *		value_index:		what index in the array of values of each node to render, or the name of a derived metric. Defaults to 0.
+ *		metrics:			derived metrics, selectable like value indices. Array of objects with:
+ *								name (given to change_value_index), label (displayed name, defaults to name),
+ *								type: 'difference' (values[a] - values[b]), 'ratio' (values[a] / values[b]), 'percent_change' (from values[b] to values[a])
+ *								or 'margin' ((values[a] - values[b]) as a percentage of values[a]), with a and b indices in values[],
+ *								or fn: function(values, node) for custom metrics.
+ *								diverging (defaults to true except for ratio and custom metrics) and midpoint (defaults to 0)
+ *								select a diverging color scale centered on the midpoint, unless opts.color_scale gives a type.
+ *								unit: unit (object or name) the metric is displayed with, whatever the current unit. Defaults to 2 decimals for ratio,
+ *								a percentage for percent_change and margin (see createTreeHeatmap.metric_units), the current unit otherwise.
+ *		unit: 				what unit to start with. Name of a unit of createTreeHeatmap.units ('NONE', 'CURRENCY', 'PERCENT', 'COMPACT', 'DECIMAL')
+ *								or of opts.units. Defaults to 'CURRENCY'.
+ *		percent_basis:		what percent units show a share of. One of 'root' (the root node, default), 'parent', 'column' (the header of the first row
+ *								below the root node that the cell is under) or 'level' (total of the cells of the same level). Also used by the tooltip and legend.
+ *		units:				additional units for this chart, by name. See createTreeHeatmap.units for their definition,
+ *								e.g. { EUR: createTreeHeatmap.currency_unit({symbol:'€', position:'after', locale:'fr-FR'}) }
+ *		ragged_leaves:		how nodes without children are laid out when they are above the last header row (trees with leaves at different depths).
+ *								'span' (default): their header cell spans down through the remaining header rows.
+ *								'leaf': same, and they are repeated as a leaf cell below, colored along with the other leaves.
+ *		label_priority:		'label' (default) or 'value': what a cell keeps when its label and value do not both fit.
+ *								Labels that do not fit are wrapped on two lines in tall header cells, replaced by label_short, then trimmed with an ellipsis.
  *		max_cell_width:		if provided, gives a max width for a cell. Otherwise, cells extent to the entire space available.
- *		click_handler:		function(is_drill_down, hit_node), invoked when a cell has been clicked/tapped.
- *								is_drill_down=true/false whether it was a single (true) or double (false) click.
- *								hit_node=the node that was hit
+ *		responsive:			if true, the chart is laid out again whenever its container is resized
+ *		resize_delay:		responsive only: how long to wait (ms) for resizing to settle before laying the chart out again. Defaults to 150.
+ *		fit_height:			if true, the chart height grows to fit all leaf rows at their default height instead of squeezing them into the container
+ *		sort:				order of children. One of null (input order, default), 'value_desc', 'value_asc', 'label_asc', 'label_desc'
+ *								or a function(node_a, node_b) comparator. Can also be an array with one entry per level (root node is level 0).
+ *		filter:				hides small nodes from the layout, the remaining cells taking up the space. Object with any of:
+ *								min_value: hide nodes whose value is below this, min_share: hide nodes whose value is below this share (0..1)
+ *								of their parent, hide: function(node) returning true for nodes to hide.
+ *								Headers show how many of their children are hidden.
+ *		max_children:		number of children kept before grouping the others (lowest values) into a single "Others" cell.
+ *								Either a number or an array with one entry per level (root node is level 0). Grouping takes at least two children. Clicking "Others" expands it in place.
+ *		playback:			steps through a range of value indices, e.g. one per month. Object with:
+ *								from, to: first and last value index, labels: label of each frame (e.g. dates), interval: ms between frames (defaults to 1000),
+ *								loop: start over at the end, fixed_scale: compute the color scale over all frames so that colors stay comparable,
+ *								controls: set to false to hide the play button and slider displayed below the chart.
+ *		load_children:		function(node) returning a Promise of the children of node, for nodes flagged with has_children=true and no children.
+ *								Called on the first render and when drilling into such a node or changing the depth past what has been loaded.
+ *								Cells show a loading state meanwhile, and an error outline (details in the tooltip) if loading fails.
+ *		renderer:			'svg' (default) or 'canvas'. The canvas renderer draws all cells in a single <canvas>, for trees with thousands of leaves.
+ *		color_scale:		how leaf values are mapped to colors. Object with the following attributes, all optional:
+ *								type:     'quantize' (default, equal width buckets), 'linear' (continuous), 'quantile' (buckets holding the same number of leaves),
+ *								          'threshold' (explicit breakpoints) or 'diverging' (continuous, centered on a midpoint).
+ *								          Without type nor colors, leaf values on both sides of zero get a diverging scale.
+ *								colors:   array of colors, any number of stops. Bucket types get one bucket per color.
+ *								breaks:   'threshold' only: ascending breakpoints, one less than the number of colors
+ *								midpoint: 'diverging' only: value mapped to the middle color. Defaults to 0.
+ *		aggregators:		how internal node values are computed from the leaves below them, one entry per index in values[]. Defaults to 'sum'.
+ *								Each entry is one of 'sum', 'mean', 'min', 'max', 'count', {type:'weighted_mean', weight_index:N}
+ *								or a function(leaf_values, leaves, node) returning the aggregated value.
+ *		preserve_values:	if true, internal nodes that already carry values keep them instead of being aggregated.
+ *		missing_values:		how aggregation treats missing leaf values (undefined, null, NaN): 'skip' (default) leaves them out,
+ *								an internal node having no value below it being missing too, 'zero' counts them as 0.
+ *		no_data_label:		legend and tooltip text standing for missing values. Defaults to 'No data'.
+ *								Leaf cells without a value get colors.no_data as background, and 'n/a' as text.
+ *		prepare_tree:		set to false if the tree already has its parent links and aggregated values (see createTreeHeatmap.prepare_tree)
+ *		tooltip:			set to false to disable the tooltip shown when hovering (or long pressing) a cell. Enabled by default.
+ *		tooltip_formatter:	function(info) returning the tooltip HTML. info holds: node, path (labels from the topmost node),
+ *								value, values (array of {name, value, text, current}), share_of_parent, share_of_root, num_filtered, root_node,
+ *								percent_basis, share_of_basis and basis_label (see opts.percent_basis)
+ *		value_names:		names of the entries in node.values, displayed in the tooltip. e.g. ['Revenues', 'Cost']
+ *		breadcrumbs:		if true, displays the path from the topmost node to the current root node next to the title.
+ *								Each crumb can be clicked to jump back to that node.
+ *		node_id:			function(node) returning a stable id for node. Defaults to node.id, or the path of labels from the topmost node
+ *								(siblings having the same label being numbered in order).
+ *								Used by update_data() to match the cells of the old and new trees.
+ *		theme:				name of a bundled theme ('dark', 'print') or an object overriding any of the defaults in default_theme()
+ *		selection:			'none' (default), 'single' or 'multi'. Ctrl/cmd click toggles cells, shift click selects a range of cells in a row.
+ *								Map a gesture to 'select' for plain clicks to select cells.
+ *		gestures:			action of each gesture. Object with keys 'click', 'dblclick' and 'contextmenu' (right click),
+ *								values 'drill_down', 'drill_up', 'select' or null (no action). Defaults to {click:'drill_down', dblclick:'drill_up'}.
+ *								When dblclick is not mapped, clicks are handled right away instead of waiting for a possible second click.
+ *		click_handler:		legacy: function(is_drill_down, root_node, hit_node), invoked instead of drilling when a drill gesture happens or a breadcrumb is clicked.
+ *								Prefer on('drill', ...).
+ *		on:					listeners subscribed before the chart is first rendered, by event type: function or array of functions.
+ *								e.g. { render:function(e) {...} }. The first render may happen within createTreeHeatmap(), before on() can be called.
+ *
+ *   Events, subscribed to with on(type, fn) (or opts.on) and unsubscribed with off(type, fn). fn receives an object with a 'type' attribute and:
+ *		cellclick, celldblclick, cellhover, cellleave:	node, cell (layout data of the cell), source_event
+ *		drill:			direction ('down' or 'up'), from (previous root node), to (new root node), node (node that was hit)
+ *		render:			root_node. Emitted once the chart has been rendered or updated
+ *		loaderror:		node and error, when opts.load_children() threw or rejected, or its children could not be attached and rendered
+ *		framechange:	frame, value_index and label of the playback frame now displayed
+ *		selectionchange:	selection (array of the selected nodes)
+ *		legendclick:	index and color of the legend item, range: [min, max] of the values it stands for (null bounds are open).
+ *						For gradient legends, index is null and value is the value under the mouse.
+ *						The no data item has index and range null, and missing set to true.
  */
 function createTreeHeatmap(domElement, root_node, opts) {
 
@@ -44,40 +128,98 @@ function createTreeHeatmap(domElement, root_node, opts) {
 		chart = null;
 
 
-	function initialize_constants() {
-
-		constants = {
+	/* ****************************************************************************
+	 * Recursively copy the attributes of source over target. Arrays and non plain values are replaced, not merged.
+	 * ****************************************************************************/
+	function deep_merge(target, source) {
+		_.each(source, function(value, key) {
+			if (_.isObject(value) && !_.isArray(value) && !_.isFunction(value) && _.isObject(target[key]) && !_.isArray(target[key]))
+				deep_merge(target[key], value);
+			else
+				target[key] = _.isArray(value) ? value.slice() : value;
+		});
+		return target;
+	}
 
-			units: { 'NONE':0, 'CURRENCY':1, 'PERCENT':2 },
 
+	/* ****************************************************************************
+	 * Default look of the chart. Any of this can be overridden through opts.theme or set_theme().
+	 * ****************************************************************************/
+	function default_theme() {
+		return {
 			// margin between cells
 			cell_margin: { h:3, v:2 },
 
 			// height for each header. numbers here indicate inner height (without top/bottom margins)
+			// headers deeper than this array reuse the last height
 			header_heights: [71, 53, 41, 41],
 
 			// default height for leaf cells (number below is without top/bottom margins)
 			default_leaf_height: 40,
 
-			// font sizes for each header and cells
+			// radius of the cell corners
+			corner_radius: 6,
+
+			// draw diagonal lines over colors.no_data in leaf cells without a value
+			no_data_hatch: false,
+
+			// font sizes for the title, each header and for leaf cells. Headers deeper than this array reuse the last size
 			fonts: {
-				heatmap: [21, 18, 13, 13, 10],
+				family:  'helvetica,arial,verdana',
+				title:   32,
+				breadcrumbs: 16,
+				headers: [21, 18, 13, 13],
+				leaf:    13,
 				legend:  "13px",
 			},
 
-			// cell bg and text colors
+			// cell bg and text colors. Headers deeper than header_cell_bg get a progressively lighter shade of its last color
 			colors: {
-				leaf_cell_bg:   ['#c5f2bc', '#78c875', '#2d9234', '#005b01', '#005b01'],
-				leaf_cell_txt:  ['#383628', '#383628', '#fff',    '#fff',    '#fff'],
-				header_cell_bg: ['#063256','#10527e','#1a72a5', '#1a72a5',   '#1a72a5']
-			},
+				// chart background, null leaves it transparent
+				background:     null,
+				title:          '#000',
+				legend_txt:     '#333',
+				breadcrumb:     '#1a72a5',
+				breadcrumb_current: '#333',
+				empty_cell_bg:  '#fff',
+				tooltip_bg:     '#fff',
+				tooltip_txt:    '#333',
+
+				leaf_cell_bg:   ['#c5f2bc', '#78c875', '#2d9234', '#005b01'],
+				header_cell_bg: ['#063256','#10527e','#1a72a5', '#1a72a5',   '#1a72a5'],
+
+				// default stops for the diverging color scale
+				diverging_bg:   ['#b2182b', '#f4a582', '#f7f7f7', '#92c5de', '#2166ac'],
+
+				// cell text color is whichever of these two contrasts best with the cell background
+				text_dark:      '#383628',
+				text_light:     '#fff',
+
+				// outline of the cells matching a search
+				highlight:      '#ffbf00',
 
-			// Top Y position for each header. First one starts at 0.
-			header_y_pos: [],
+				// outline of the selected cells
+				selection:      '#e6550d',
 
-			currency_formatter: d3.format(','),
+				// outline of the cells whose children failed to load
+				load_error:     '#d7191c',
 
+				// background of the leaf cells without a value
+				no_data:        '#d9d9d9'
+			},
 		};
+	}
+
+
+	/* ****************************************************************************
+	 * theme: either the name of one of createTreeHeatmap.themes or an object deep merged over default_theme()
+	 * ****************************************************************************/
+	function initialize_constants(theme) {
+
+		if (_.isString(theme))
+			theme = createTreeHeatmap.themes[theme];
+
+		constants = deep_merge(default_theme(), theme || {});
 
 		// add top+bottom margins to each header height
 		constants.header_heights = _.map(constants.header_heights, function(h) { return h+2*constants.cell_margin.v; });
@@ -85,9 +227,6 @@ function createTreeHeatmap(domElement, root_node, opts) {
 		// add top+bottom margins to default cell height
 		constants.default_leaf_height += 2*constants.cell_margin.v;
 
-		constants.header_y_pos = [0];
-		_.each(constants.header_heights, function(height, index) { constants.header_y_pos.push( constants.header_y_pos[index] + height ); });
-
 		//console.log("Constants = ", constants);
 	}
 
@@ -105,7 +244,10 @@ function createTreeHeatmap(domElement, root_node, opts) {
 		var chart_width  = $(domElement).width(),
 			chart_height = $(domElement).height();
 
-		initialize_constants();
+		initialize_constants(opts.theme);
+
+		if (opts.prepare_tree !== false)
+			createTreeHeatmap.prepare_tree(root_node, opts);
 
 		chart = {
 			// SVG element containing the heatmap
@@ -125,32 +267,179 @@ function createTreeHeatmap(domElement, root_node, opts) {
 			desired_max_depth: opts.depth || 1,
 
 			// index in the values[] array of each node
-			value_index: opts.value_index || 0,
+			value_index: opts.value_index || (opts.playback ? opts.playback.from : 0),
+
+			// name of the unit to display, see unit_def()
+			unit: opts.unit,
+
+			// units of this chart only, on top of createTreeHeatmap.units
+			units: _.extend({}, opts.units),
+
+			// what percent units are a share of, see percent_basis()
+			percent_basis: opts.percent_basis || 'root',
+
+			// total value of the cells of each level, computed when needed. See level_total()
+			level_totals: null,
+
+			// stands for missing values in the legend and tooltip
+			no_data_label: opts.no_data_label || 'No data',
+
+			// what a cell keeps when its label and value do not both fit: 'label' or 'value'
+			label_priority: opts.label_priority || 'label',
 
-			// what unit to display
-			unit: constants.units[opts.unit],
+			// layout of nodes without children above the last header row: 'span' or 'leaf'
+			ragged_leaves: opts.ragged_leaves || 'span',
 
 			// leaf cells can have a max width
-			max_cell_width: opts.max_cell_width || chart_width,
+			max_cell_width: opts.max_cell_width,
+
+			// if true, the chart height grows to fit all leaf rows at their default height instead of using the container height
+			fit_height: opts.fit_height === true,
 
 			// hanlder when cells have been hit/clicked/touched
 			click_handler: opts.click_handler,
+
+			// action for each gesture, see opts.gestures
+			gestures: _.extend({ click:'drill_down', dblclick:'drill_up', contextmenu:null }, opts.gestures),
+
+			// event listeners, by event type. opts.on subscribes before the first render
+			listeners: _.reduce(opts.on || {}, function(listeners, fn, type) {
+				listeners[type] = _.isArray(fn) ? fn.slice() : [fn];
+				return listeners;
+			}, {}),
+
+			// how leaf values map to colors, see build_color_scale()
+			color_scale_opts: opts.color_scale || {},
+
+			// tooltip shown when hovering/long pressing cells
+			tooltip_enabled: opts.tooltip !== false,
+			tooltip_formatter: opts.tooltip_formatter,
+			tooltip: null,
+
+			// names of each entry in node.values, as shown in the tooltip
+			value_names: opts.value_names || [],
+
+			// stepping through value indices, see build_playback_controls()
+			playback: opts.playback || null,
+			playback_frame: opts.playback ? Math.max(0, (opts.value_index || opts.playback.from) - opts.playback.from) : 0,
+			playback_timer: null,
+			controls: null,
+			controls_height: 0,
+
+			// lazy loading of children, see load_children()
+			load_children: opts.load_children,
+			load_states: {},
+
+			// derived metrics, selectable by name through change_value_index(), see metric_value()
+			metrics: opts.metrics || [],
+
+			// options used to prepare trees given to change_root_node()
+			prepare_opts: opts.prepare_tree === false ? null : opts,
+
+			// 'none' (default), 'single' or 'multi', see set_selection()
+			selection_mode: opts.selection || 'none',
+			selection: [],
+			selection_keys: {},
+			selection_anchor: null,
+
+			// current search, see highlight()
+			highlight: null,
+			highlight_states: {},
+
+			// hides small nodes, see is_filtered()
+			filter: opts.filter || null,
+
+			// groups children past that number into "Others", see max_children()
+			max_children: opts.max_children || null,
+			others_nodes: {},
+			expanded_others: {},
+
+			// order of children, see sort_spec()
+			sort: opts.sort || null,
+
+			// 'svg' (default) or 'canvas'
+			renderer: opts.renderer || 'svg',
+
+			// stable node identifier, see node_key()
+			node_id: opts.node_id,
+
+			// show the path to the root node next to the title
+			breadcrumbs: opts.breadcrumbs === true,
+
+			// unique id, used to scope ids of SVG definitions (gradients) when several charts share a page
+			uid: createTreeHeatmap.next_uid = (createTreeHeatmap.next_uid || 0) + 1,
 		};
 
 
-		if (chart.unit === undefined) {
-			chart.unit = constants.units.CURRENCY;
+		if (unit_def(chart.unit) === undefined) {
+			chart.unit = 'CURRENCY';
 		}
 
 		// top position of the HM
-		chart.top_margin = (chart.title ? 50 : 0) + 30;	// 50 for the title+bottom margin, 30 for the legend
+		chart.top_margin = (chart.title || chart.breadcrumbs ? 50 : 0) + 30;	// 50 for the title+bottom margin, 30 for the legend
+
 
+		if (chart.playback !== null && chart.playback.controls !== false)
+			chart.controls_height = 30;
+
+		chart.total_height -= chart.controls_height;
 
 		chart.svg = d3.select(domElement)
 			.append("svg:svg")
 			.attr("width",  chart.total_width)
 			.attr("height", chart.total_height)
 			.attr("class", "tree-heatmap");
+
+		apply_background();
+
+		if (opts.responsive)
+			observe_resize(domElement, opts.resize_delay === undefined ? 150 : opts.resize_delay);
+
+		if (chart.controls_height > 0)
+			build_playback_controls(domElement);
+	}
+
+
+	/* ****************************************************************************
+	 * Follow the size of the container. Uses ResizeObserver where available, window resizes otherwise.
+	 * ****************************************************************************/
+	function observe_resize(domElement, delay) {
+		var on_resize = _.debounce( function() {
+			var width  = $(domElement).width(),
+				height = $(domElement).height();
+
+			// in fit_height mode the container height follows the chart, not the other way around
+			if (width !== chart.total_width || (!chart.fit_height && height !== chart.total_height))
+				resize(width, height);
+		}, delay);
+
+		if (window.ResizeObserver)
+			new window.ResizeObserver(on_resize).observe(domElement);
+		else
+			$(window).resize(on_resize);
+	}
+
+
+	function resize(width, height) {
+		chart.total_width = width;
+		if (!chart.fit_height)
+			chart.total_height = height - chart.controls_height;
+
+		update_chart();
+	}
+
+
+	function apply_size() {
+		chart.svg
+			.attr("width",  chart.total_width)
+			.attr("height", chart.total_height);
+	}
+
+
+	function apply_background() {
+		chart.svg
+			.style('background-color', constants.colors.background || null)
+			.attr('font-family', constants.fonts.family);
 	}
 
 
@@ -165,10 +454,11 @@ function createTreeHeatmap(domElement, root_node, opts) {
 
 		var leaf_breath_pos = -1,
 			id = 0,
-			min_leaf_value = null,
-			max_leaf_value = null;
+			leaf_values = [];
 
 		chart.rows = [];
+		chart.level_totals = null;
+		chart.num_missing = 0;			// number of leaves without a value
 		chart.num_max_colspan = 1;		// highest # of cols on any row
 		chart.leaf_width = 0;			// width of a leaf = width of a colspan=1
 		chart.leaf_height = 0;			// height of a leaf node
@@ -177,7 +467,7 @@ function createTreeHeatmap(domElement, root_node, opts) {
 		function calc_colspan(node, level) {
 			if (node === null || level+1 >= chart.max_depth)
 				return 1;
-			return _.reduce(node.children, function(n, child) { return n + calc_colspan(child, level+1); }, 0);
+			return Math.max(1, _.reduce(visible_children(node, level+1), function(n, child) { return n + calc_colspan(child, level+1); }, 0));
 		}
 
 		function node_data(node, level) {
@@ -189,16 +479,20 @@ function createTreeHeatmap(domElement, root_node, opts) {
 					level:			level,
 					leaf:			is_leaf,
 					colspan:		calc_colspan(node, level),
-					value:			node===null?0:node.values[chart.value_index],
-				};
+					rowspan:		1,
+					value:			node===null?0:node_value(node),
+					missing:		node!==null && is_missing(node_value(node)),
 
-			// compute min/max leaf values. This will be used to build divide the space into 4 quartiles, each with a different color (heatmap)
-			if (is_leaf) {
-				if (min_leaf_value === null || o.value < min_leaf_value)
-					min_leaf_value = o.value;
+					// number of children removed by the filter
+					num_filtered:	is_leaf || node===null || node.children===undefined ? 0 : _.filter(node.children, is_filtered).length,
+				};
 
-				if (max_leaf_value === null || o.value > max_leaf_value)
-					max_leaf_value = o.value;
+			// collect leaf values. This will be used to build the color scale (heatmap)
+			if (is_leaf && !o.empty) {
+				if (o.missing)
+					chart.num_missing++;
+				else
+					leaf_values.push(o.value);
 			}
 
 			return o;
@@ -207,7 +501,7 @@ function createTreeHeatmap(domElement, root_node, opts) {
 
 		function create_empty_leaf_row() {
 			var a=[];
-			_.times(chart.num_max_colspan, function(i) { a.push({empty:true, colspan:1, leaf:true}); });
+			_.times(chart.num_max_colspan, function(i) { a.push({empty:true, colspan:1, rowspan:1, col_index:i, leaf:true}); });
 			return a;
 		}
 
@@ -215,62 +509,74 @@ function createTreeHeatmap(domElement, root_node, opts) {
 		/*
 		 * Tracerse the hierarchy of nodes depth first (top->bottom, left->right) and build an an array of rows.
 		 * Each row correspond to a level in the hierarchy, expect for leaf nodes that each count as a row
-		 * Each row is an array of cells that correspond to the nodes at level N
+		 * Each row is an array of cells that correspond to the nodes at level N, starting at column col.
+		 * Nodes without children above the last header row span down through the remaining header rows, so header rows can have gaps.
+		 * Returns the colspan of node.
 		 */
-		function process_node(node, level) {
-			var children, row_index = level;
+		function process_node(node, level, col) {
+			var data = node_data(node, level),
+				children = visible_children(node, level+1),
+				row_index = level;
+
+			data.col_index = col;
 
 			// add new row if needed
 			if (row_index >= chart.rows.length)
 				chart.rows.push([]);
 
-			chart.rows[row_index].push( node_data(node, level) );
+			chart.rows[row_index].push(data);
 
-			// Nodes at level max_depth-1: leafs
-			if (level === chart.max_depth-1) {
-				row_index++;
+			// Nodes at level max_depth-1, and shallower nodes without children: leafs
+			if (level === chart.max_depth-1 || (level < chart.max_depth-1 && children.length === 0)) {
+				data.rowspan = chart.max_depth - level;
+				row_index = chart.max_depth;
 				leaf_breath_pos++;
 
-				children = node.children || [null];
+				// a node without children at all can be repeated as a leaf cell, to be colored along with the other leaves
+				if (children.length === 0)
+					children = [chart.ragged_leaves === 'leaf' && _.isEmpty(node.children) && node.has_children !== true ? node : null];
 
 				// we're going to push this node's children into additional rows, one child per row
 				// and all children located at column 'leaf_breath_pos'
 				_.each(children, function(child, index){
 
-					// add new row if needed
-					if (row_index+index >= chart.rows.length)
+					// add new rows if needed: header rows may not exist yet when a shallow node comes before deeper siblings
+					while (chart.rows.length < chart.num_headers)
+						chart.rows.push([]);
+					while (row_index+index >= chart.rows.length)
 						chart.rows.push( create_empty_leaf_row() );
 
 					// create our data object
-					var data = node_data(child, level+1);
+					var leaf = node_data(child, chart.max_depth);
+					leaf.col_index = leaf_breath_pos;
+					leaf.ragged = child === node;
 
-					chart.rows[row_index+index][leaf_breath_pos] = data;
+					chart.rows[row_index+index][leaf_breath_pos] = leaf;
 				});
 			}
 
-			else if (node.children !== undefined) {
-				_.each(node.children, function(child){ process_node(child, level+1); });
+			else {
+				_.each(children, function(child){ col += process_node(child, level+1, col); });
 			}
+
+			return data.colspan;
 		}
 
-		// add a row_index and col_index property to each heatmap cell (rows[][]).
-		function add_row_col_indexes() {
+		// add a row_index property to each heatmap cell (rows[][]). Columns are set as cells are created
+		function add_row_indexes() {
 			_.each(chart.rows, function(row, row_index){
-				var x=0;
 				_.each(row, function(cell){
 					cell.row_index = row_index;
-					cell.col_index = x;
-					x += cell.colspan;
 				});
 			});
 		}
 
 
-		function calc_headers_height() {
-			return _.reduce(
-				_.first(constants.header_heights, chart.num_headers),
-				function(total, height) { return total+height; },
-				0 );
+		// Top Y position for each header. First one starts at 0, the last entry is the total height of all headers
+		function calc_header_y_pos() {
+			var y_pos = [0];
+			_.times(chart.num_headers, function(level) { y_pos.push( y_pos[level] + header_height(level) ); });
+			return y_pos;
 		}
 
 		function calc_leaf_height() {
@@ -296,86 +602,450 @@ function createTreeHeatmap(domElement, root_node, opts) {
 		// number of header rows
 		chart.num_headers = chart.max_depth;
 
-		// total height of all headers
-		chart.headers_height = calc_headers_height();
+		// top position of each header and total height of all headers
+		chart.header_y_pos = calc_header_y_pos();
+		chart.headers_height = _.last(chart.header_y_pos);
 
 		// build array of rows
-		process_node(chart.root_node, 0);
+		process_node(chart.root_node, 0, 0);
 
-		// add row and col indexes in each cell
-		add_row_col_indexes();
+		// add row indexes in each cell
+		add_row_indexes();
 
 		// width of a leaf
-		chart.leaf_width = Math.min(chart.max_cell_width, chart.total_width / chart.num_max_colspan);
+		chart.leaf_width = Math.min(chart.max_cell_width || chart.total_width, chart.total_width / chart.num_max_colspan);
+
+		// grow the chart so that leaves get their default height
+		if (chart.fit_height)
+			chart.total_height = chart.top_margin + chart.headers_height + (chart.rows.length - chart.num_headers)*constants.default_leaf_height;
 
 		// height of a leaf
 		chart.leaf_height = calc_leaf_height();
 
 		chart.show_leaf_text = (chart.leaf_height - 2*constants.cell_margin.v) >= 12;
 
-	 	// compute legend values
-	 	update_legend_values(min_leaf_value, max_leaf_value);
+	 	// compute the color scale
+	 	build_color_scale( color_scale_values(leaf_values) );
+
+		// matching nodes depend on the root node
+		compute_highlight();
 
 		//console.log("Chart = ", chart);
 	}
 
 
 	/* ****************************************************************************
-	 * Divide the leaf cell values into quartiles that will form the 4 possible heatmap colors
+	 * Value of a node being displayed. chart.value_index is either an index in node.values[]
+	 * or the name of one of the derived metrics (chart.metrics).
 	 * ****************************************************************************/
-	function update_legend_values(min_value, max_value) {
-		min_value = Math.min(0, min_value);
-		var step = (max_value - min_value) / 4;
-		chart.legend_values = [ Math.round(min_value+step), Math.round(min_value+2*step), Math.round(min_value+3*step) ];
+	function node_value(node) {
+		var metric = current_metric();
+		return metric === null ? node.values[chart.value_index] : metric_value(metric, node);
+	}
+
+	// undefined, null, NaN and infinite values stand for missing data
+	function is_missing(value) {
+		return createTreeHeatmap.is_missing(value);
+	}
+
+	function current_metric() {
+		return _.isString(chart.value_index) ? _.find(chart.metrics, function(m) { return m.name === chart.value_index; }) || null : null;
+	}
+
+	/*
+	 * A metric is an object with:
+	 *	name:		identifier, given to change_value_index()
+	 *	label:		displayed name. Defaults to name
+	 *	type:		'difference' (values[a] - values[b]), 'ratio' (values[a] / values[b]), 'percent_change' (from values[b] to values[a])
+	 *				'margin' ((values[a] - values[b]) as a percentage of values[a]), or omitted when fn is given
+	 *	a, b:		indices in values[]
+	 *	fn:			function(values, node) computing the metric
+	 *	diverging:	whether to use a diverging color scale. Defaults to true for difference, percent_change and margin
+	 *	midpoint:	center of the diverging color scale. Defaults to 0
+	 *	unit:		unit or name of a unit the metric is displayed with. Defaults to createTreeHeatmap.metric_units[type], null for the current unit
+	 */
+	function metric_value(metric, node) {
+		var a = node.values[metric.a],
+			b = node.values[metric.b];
+
+		if (_.isFunction(metric.fn))
+			return metric.fn(node.values, node);
+
+		// no metric without both operands
+		if (is_missing(a) || is_missing(b))
+			return null;
+
+		switch (metric.type) {
+			case 'difference':		return a - b;
+			case 'ratio':			return b ? a / b : null;
+			case 'percent_change':	return b ? (a - b) * 100 / Math.abs(b) : null;
+			case 'margin':			return a ? (a - b) * 100 / Math.abs(a) : null;
+			default:				return null;
+		}
+	}
+
+	function metric_is_diverging(metric) {
+		if (metric.diverging !== undefined)
+			return metric.diverging;
+		return !metric.fn && (metric.type === 'difference' || metric.type === 'percent_change' || metric.type === 'margin');
+	}
+
+	// own unit of a metric, or null if it is displayed with the current unit
+	function metric_unit(metric) {
+		if (metric.unit !== undefined)
+			return _.isString(metric.unit) ? unit_def(metric.unit) || null : metric.unit;
+		return metric.fn ? null : createTreeHeatmap.metric_units[metric.type] || null;
 	}
 
 
 	/* ****************************************************************************
-	 *
+	 * Units: how values are formatted. Looked up by name in the units of this chart (opts.units, register_unit())
+	 * then in createTreeHeatmap.units
+	 * ****************************************************************************/
+	function unit_def(name) {
+		return chart.units[name] || createTreeHeatmap.units[name];
+	}
+
+	function current_unit() {
+		return unit_def(chart.unit);
+	}
+
+	// unit the displayed values are formatted with: that of the current metric if it has one. Hiding values is still up to the current unit
+	function value_unit() {
+		var metric = current_metric();
+		return (metric !== null && metric_unit(metric)) || current_unit();
+	}
+
+
+	/* ****************************************************************************
+	 * Value that percent units divide the value of cell d by, and its label. Depends on chart.percent_basis:
+	 * 'root', 'parent', 'column' (ancestor of the cell in the first row below the root node) or 'level' (total of the cells of that level)
+	 * ****************************************************************************/
+	function percent_basis(d) {
+		var node;
+
+		switch (chart.percent_basis) {
+			case 'parent':	node = d.node.parent || d.node; break;
+			case 'column':	node = column_node(d.node); break;
+			case 'level':	return { value:level_total(d.level), label:'level total' };
+			default:		node = chart.root_node;
+		}
+
+		return { value:node_value(node), label:node.label_long };
+	}
+
+	// value as a percentage of basis, or null when either is missing. Negative bases keep the sign of value
+	function percent_of(value, basis) {
+		return is_missing(value) || is_missing(basis) || basis === 0 ? null : value * 100 / Math.abs(basis);
+	}
+
+	function column_node(node) {
+		while (node !== chart.root_node && node.parent && node.parent !== chart.root_node)
+			node = node.parent;
+		return node;
+	}
+
+	function level_total(level) {
+		if (chart.level_totals === null) {
+			chart.level_totals = {};
+			_.each( _.flatten(chart.rows, true), function(d) {
+				if (!d.empty && !d.missing)
+					chart.level_totals[d.level] = (chart.level_totals[d.level] || 0) + d.value;
+			});
+		}
+		return chart.level_totals[level] || 0;
+	}
+
+	// value percent legend labels divide by, or null when the basis differs from one cell to the next (parent, column)
+	function legend_percent_basis() {
+		switch (chart.percent_basis) {
+			case 'parent':
+			case 'column':	return null;
+			case 'level':	return level_total(chart.max_depth);
+			default:		return node_value(chart.root_node);
+		}
+	}
+
+
+	/* ****************************************************************************
+	 * Sorting of children. chart.sort is either a single sort spec applying to all levels
+	 * or an array of specs, one per level (the level of the sorted children, the root node being level 0).
+	 * A spec is one of: null (input order), 'value_desc', 'value_asc', 'label_asc', 'label_desc' or a function(node_a, node_b).
+	 * ****************************************************************************/
+	function sort_spec(level) {
+		return _.isArray(chart.sort) ? chart.sort[level] : chart.sort;
+	}
+
+	function sort_comparator(spec) {
+		function label(node) { return String(node.label_long).toLowerCase(); }
+
+		// nodes without a value go last in either order
+		function by_value(order) {
+			return function(a, b) {
+				var va = node_value(a),
+					vb = node_value(b);
+
+				if (is_missing(va) || is_missing(vb))
+					return is_missing(va) - is_missing(vb);
+				return order(va, vb);
+			};
+		}
+
+		switch (spec) {
+			case 'value_desc':	return by_value(d3.descending);
+			case 'value_asc':	return by_value(d3.ascending);
+			case 'label':
+			case 'label_asc':	return function(a, b) { return d3.ascending(label(a), label(b)); };
+			case 'label_desc':	return function(a, b) { return d3.descending(label(a), label(b)); };
+			default:			return _.isFunction(spec) ? spec : null;
+		}
+	}
+
+	// whether the current sort order depends on the values being displayed
+	function sort_uses_value() {
+		return _.some(_.isArray(chart.sort) ? chart.sort : [chart.sort], function(spec) {
+			return spec === 'value_desc' || spec === 'value_asc' || _.isFunction(spec);
+		});
+	}
+
+	/* ****************************************************************************
+	 * Filtering of small nodes. chart.filter holds any of:
+	 *	min_value:	nodes whose value is below this are hidden
+	 *	min_share:	nodes whose value is below this share (0..1) of their parent value are hidden
+	 *	hide:		function(node) returning true for nodes to hide
+	 * The root node is never hidden.
+	 * ****************************************************************************/
+	function is_filtered(node) {
+		var f = chart.filter,
+			value = node_value(node),
+			share;
+
+		if (f === null || node === chart.root_node)
+			return false;
+
+		if (f.min_value !== undefined && !is_missing(value) && value < f.min_value)
+			return true;
+
+		if (f.min_share !== undefined && node.parent) {
+			share = percent_of(value, node_value(node.parent));
+			if (share !== null && share / 100 < f.min_share)
+				return true;
+		}
+
+		return f.hide !== undefined && f.hide(node) === true;
+	}
+
+	/* ****************************************************************************
+	 * "Others" groups. chart.max_children is either a number applying to all levels or an array with one entry per level
+	 * (the level of the children). Past that number, only the children with the highest values are kept and the rest is
+	 * grouped into a single "Others" node, until it is expanded.
+	 * ****************************************************************************/
+	function max_children(level) {
+		return _.isArray(chart.max_children) ? chart.max_children[level] : chart.max_children;
+	}
+
+	// pseudo node standing for the grouped children of node. Values are aggregated as opts.aggregators says.
+	function others_node(node, grouped) {
+		var key = node_key(node),
+			others = chart.others_nodes[key];
+
+		if (others === undefined || others.grouped.length !== grouped.length || _.difference(others.grouped, grouped).length > 0) {
+			others = chart.others_nodes[key] = {
+				label_short: 'Others',
+				label_long:  'Others (' + grouped.length + ')',
+				parent:      node,
+				others:      true,
+				grouped:     grouped,
+			};
+
+			// aggregated from the leaves below the grouped nodes, like any other internal node
+			others.values = createTreeHeatmap.values_aggregator(chart.prepare_opts, grouped[0].values.length)(leaves_below(grouped), others);
+		}
+
+		return others;
+	}
+
+	// nodes without children count as leaves, including those whose children are not loaded yet
+	function leaves_below(nodes) {
+		return _.flatten( _.map(nodes, function(node) { return _.isEmpty(node.children) ? [node] : leaves_below(node.children); }), true );
+	}
+
+	function expand_others(others) {
+		chart.expanded_others[node_key(others.parent)] = true;
+		update_chart();
+	}
+
+	// children of node as they are laid out: filtered, grouped and sorted
+	function visible_children(node, level) {
+		var children = _.reject(node.children, is_filtered),
+			max = max_children(level),
+			comparator = sort_comparator(sort_spec(level)),
+			others = null,
+			by_value;
+
+		// a single node over the limit is shown as is rather than swapped for an Others cell of the same size
+		if (max && children.length > max+1 && !chart.expanded_others[node_key(node)]) {
+			by_value = _.sortBy(children, function(child) { var v = node_value(child); return is_missing(v) ? Infinity : -v; });
+			others = others_node(node, _.rest(by_value, max));
+			children = _.filter(children, function(child) { return !_.contains(others.grouped, child); });
+		}
+
+		if (comparator !== null) {
+			// ties keep their input order
+			children = _.map(
+				_.map(children, function(child, index) { return { node:child, index:index }; })
+					.sort( function(a, b) { return comparator(a.node, b.node) || a.index - b.index; } ),
+				function(o) { return o.node; });
+		}
+
+		return others === null ? children : children.concat([others]);
+	}
+
+
+	/* ****************************************************************************
+	 * Build the scale mapping leaf values to colors.
+	 * Bucket scales (quantize, quantile, threshold) expose their boundaries in chart.color.breaks,
+	 * continuous scales (linear, diverging) expose their stops in chart.color.stops.
+	 * ****************************************************************************/
+	function build_color_scale(leaf_values) {
+		var metric = current_metric(),
+			o = chart.color_scale_opts,
+			min_value = leaf_values.length > 0 ? d3.min(leaf_values) : 0,
+			max_value = leaf_values.length > 0 ? d3.max(leaf_values) : 0,
+			metric_diverging = !o.type && metric !== null && metric_is_diverging(metric),
+			// values on both sides of zero get a diverging scale too, unless colors or type are given
+			sign_diverging = !o.type && !o.colors && min_value < 0 && max_value > 0,
+			type = o.type || (metric_diverging || sign_diverging ? 'diverging' : 'quantize'),
+			colors = (!metric_diverging && o.colors) || (type === 'diverging' ? constants.colors.diverging_bg : constants.colors.leaf_cell_bg),
+			midpoint = metric_diverging ? (metric.midpoint || 0) : (o.midpoint || 0),
+			scale, domain;
+
+		// spread the color stops evenly over [min, max]. Diverging scales spread half of them on each side of the midpoint
+		function stops_domain(min, max) {
+			return _.map(colors, function(color, i) {
+				var t = colors.length > 1 ? i / (colors.length-1) : 0;
+
+				if (type !== 'diverging')
+					return min + (max-min)*t;
+
+				return t <= 0.5 ? min + (midpoint-min)*t*2 : midpoint + (max-midpoint)*(t-0.5)*2;
+			});
+		}
+
+		if (type === 'linear' || type === 'diverging') {
+			if (type === 'diverging') {
+				min_value = Math.min(min_value, midpoint);
+				max_value = Math.max(max_value, midpoint);
+			}
+
+			// a single value gets the first color rather than an arbitrary stop
+			if (max_value === min_value)
+				max_value = min_value + 1;
+
+			domain = stops_domain(min_value, max_value);
+			scale = d3.scale.linear().domain(domain).range(colors).interpolate(d3.interpolateLab).clamp(true);
+
+			chart.color = { type:type, scale:scale, colors:colors, stops:domain, breaks:null };
+		}
+		else {
+			if (type === 'quantile') {
+				scale = d3.scale.quantile().domain(leaf_values.length > 0 ? leaf_values : [0]).range(colors);
+				domain = scale.quantiles();
+			}
+			else if (type === 'threshold') {
+				domain = o.breaks || [];
+				scale = d3.scale.threshold().domain(domain).range(colors);
+			}
+			else {
+				// amounts start at 0, metrics (e.g. ratios around 1) keep their own range
+				if (metric === null)
+					min_value = Math.min(0, min_value);
+
+				// an empty domain maps everything to undefined
+				if (max_value === min_value)
+					max_value = min_value + 1;
+
+				scale = d3.scale.quantize().domain([min_value, max_value]).range(colors);
+				domain = _.map(_.range(1, colors.length), function(i) { return min_value + (max_value-min_value)*i/colors.length; });
+			}
+
+			chart.color = { type:type, scale:scale, colors:colors, stops:null, breaks:domain };
+		}
+	}
+
+
+	/* ****************************************************************************
+	 * Pick whichever text color contrasts best with the given background, using WCAG relative luminance
+	 * ****************************************************************************/
+	function luminance(color) {
+		var rgb = d3.rgb(color);
+
+		return _.reduce([[rgb.r, 0.2126], [rgb.g, 0.7152], [rgb.b, 0.0722]], function(total, c) {
+			var v = c[0] / 255;
+			v = v <= 0.03928 ? v / 12.92 : Math.pow((v+0.055)/1.055, 2.4);
+			return total + v*c[1];
+		}, 0);
+	}
+
+	function contrast_text_color(bg_color) {
+		var bg   = luminance(bg_color),
+			dark  = luminance(constants.colors.text_dark),
+			light = luminance(constants.colors.text_light);
+
+		function ratio(a, b) { return (Math.max(a,b)+0.05) / (Math.min(a,b)+0.05); }
+
+		return ratio(bg, dark) >= ratio(bg, light) ? constants.colors.text_dark : constants.colors.text_light;
+	}
+
+
+	/* ****************************************************************************
+	 * Bucket scales get one colored box per bucket, continuous scales get a gradient bar.
 	 * ****************************************************************************/
 	function build_legend() {
-		var glegend,
+		var glegend, x,
 			box_size = 14,
 			box_margin=4,
-			item_margin=10;
+			item_margin=10,
+			gradient_width = 200,
+			gradient_id = 'tree-heatmap-gradient-'+chart.uid,
+			no_data_pattern_id = 'tree-heatmap-no-data-'+chart.uid;
 
 
-		function pc(value) {
-			return d3.round(value*100/chart.root_node.values[chart.value_index], 1);
-		}
+		// percentages of a basis that varies across cells cannot be given for color ranges: fall back on raw values then
+		function format(value) {
+			var unit = value_unit(),
+				basis = unit.percent ? legend_percent_basis() : undefined;
+
+			if (basis === null)
+				return raw_value_text(value);
 
-		function currency(value) {
-			return constants.currency_formatter(value);
+			value = unit.percent ? percent_of(value, basis) : value;
+			return is_missing(value) ? '' : (unit.legend || unit.cell)(value);
 		}
 
 		function create_labels() {
 			var labels, x,
 				separator = '―',
-				values = _.map(chart.legend_values, function(value) { return value; });
-
-			// either use _this.legend_values or convert those in %
-			if (chart.unit === constants.units.PERCENT) {
-				labels = [
-					'< ' + pc(values[0])+'%',
-					pc(values[0])+separator+pc(chart.legend_values[1])+'%',
-					pc(values[1])+separator+pc(values[2])+'%',
-					'> ' + pc(values[2])+'%'
-				];
-			}
-			else {
-				labels = [
-					'< ' + currency(values[0]),
-					currency(values[0])+separator+currency(values[1]),
-					currency(values[1])+separator+currency(values[2]),
-					'> ' + currency(values[2])
-				];
-			}
+				breaks = chart.color.breaks;
+
+			if (breaks.length === 0)
+				labels = [''];
+			else
+				labels = _.map(chart.color.colors, function(color, i) {
+					if (i === 0)
+						return '< ' + format(breaks[0]);
+					else if (i >= breaks.length)
+						return '> ' + format(breaks[breaks.length-1]);
+					else
+						return format(breaks[i-1]) + separator + format(breaks[i]);
+				});
 
 			x = 0;
-			labels = _.map(labels, function(label){
+			labels = _.map(labels, function(label, i){
 //TODO *8 sucks, need a better way to find the exact width of the label...
 				var w = label.length*8,
-					o = { txt:label, width:w, x:x };
+					o = { txt:label, width:w, x:x, color:chart.color.colors[i], index:i,
+						  range:[ i === 0 ? null : breaks[i-1], i >= breaks.length ? null : breaks[i] ] };
 
 				x += box_size + box_margin + w + item_margin;
 
@@ -385,6 +1055,140 @@ function createTreeHeatmap(domElement, root_node, opts) {
 			return labels;
 		}
 
+		// returns the x position following the last item
+		function build_buckets() {
+			var labels = create_labels(),
+				last = _.last(labels),
+				glegend_item = glegend.selectAll('g.item').data(labels);
+
+			var glegitemEnter = glegend_item
+				.enter()
+					.append('g')
+					.attr('class', 'item')
+					.style('cursor', 'pointer')
+					.on('click', function(d) { emit('legendclick', { index:d.index, color:d.color, range:d.range }); });
+
+			glegitemEnter.append('rect')
+				.attr("x",      function(d,i){ return d.x; } )
+				.attr('y',      0)
+				.attr('width',  box_size)
+				.attr('height', box_size)
+				.attr('fill',   function(d,i){return d.color;})
+				.attr("rx",     Math.min(3, constants.corner_radius))
+				.attr("ry",     Math.min(3, constants.corner_radius));
+
+			glegitemEnter.append('text')
+				.text( function(d) { return d.txt; } )
+				.attr("font-size", constants.fonts.legend)
+				.attr("fill",      constants.colors.legend_txt)
+				.attr("x",         function(d,i){ return d.x+box_size + box_margin; } )
+				.attr("y", 11);
+
+			return last.x + box_size + box_margin + last.width + item_margin;
+		}
+
+		// leaves without a value get an item of their own
+		function build_no_data(x) {
+			var item = glegend.append('g')
+				.attr('class',     'item no-data')
+				.attr('transform', 'translate('+x+',0)')
+				.style('cursor',   'pointer')
+				.on('click', function() { emit('legendclick', { index:null, color:constants.colors.no_data, range:null, missing:true }); });
+
+			item.append('rect')
+				.attr('width',        box_size)
+				.attr('height',       box_size)
+				.attr('fill',         no_data_fill())
+				.attr('stroke',       constants.colors.legend_txt)
+				.attr('stroke-width', 0.5)
+				.attr("rx",           Math.min(3, constants.corner_radius))
+				.attr("ry",           Math.min(3, constants.corner_radius));
+
+			item.append('text')
+				.text(chart.no_data_label)
+				.attr("font-size", constants.fonts.legend)
+				.attr("fill",      constants.colors.legend_txt)
+				.attr("x",         box_size + box_margin)
+				.attr("y", 11);
+		}
+
+		// hatch pattern filling leaf cells without a value, see no_data_fill()
+		function build_no_data_pattern() {
+			var pattern = glegend.append('defs')
+				.append('pattern')
+					.attr('id',               no_data_pattern_id)
+					.attr('patternUnits',     'userSpaceOnUse')
+					.attr('width',            6)
+					.attr('height',           6)
+					.attr('patternTransform', 'rotate(45)');
+
+			pattern.append('rect')
+				.attr('width',  6)
+				.attr('height', 6)
+				.attr('fill',   constants.colors.no_data);
+
+			pattern.append('line')
+				.attr('x1',           0)
+				.attr('y1',           0)
+				.attr('x2',           0)
+				.attr('y2',           6)
+				.attr('stroke',       constants.colors.text_dark)
+				.attr('stroke-width', 1.5);
+		}
+
+		// returns the x position following the max label
+		function build_gradient() {
+			var stops = chart.color.stops,
+				min = _.first(stops),
+				max = _.last(stops),
+				labels = [min, max];
+
+			if (chart.color.type === 'diverging' && stops.length > 2)
+				labels.splice(1, 0, stops[Math.floor(stops.length/2)]);
+
+			glegend.append('defs')
+				.append('linearGradient')
+					.attr('id', gradient_id)
+				.selectAll('stop')
+				.data(stops)
+				.enter()
+					.append('stop')
+					.attr('offset',     function(d) { return max > min ? (d-min)/(max-min) : 0; })
+					.attr('stop-color', function(d,i) { return chart.color.colors[i]; });
+
+			glegend.append('rect')
+				.attr('class',  'gradient')
+				.attr('x',      0)
+				.attr('y',      0)
+				.attr('width',  gradient_width)
+				.attr('height', box_size)
+				.attr('fill',   'url(#'+gradient_id+')')
+				.attr("rx",     Math.min(3, constants.corner_radius))
+				.attr("ry",     Math.min(3, constants.corner_radius))
+				.style('cursor', 'pointer')
+				.on('click', function() {
+					var value = min + (max-min) * d3.mouse(this)[0] / gradient_width;
+					emit('legendclick', { index:null, color:chart.color.scale(value), value:value, range:[value, value] });
+				});
+
+			glegend.selectAll('text')
+				.data(labels)
+				.enter()
+					.append('text')
+					.text( format )
+					.attr("font-size",   constants.fonts.legend)
+					.attr("fill",        constants.colors.legend_txt)
+					.attr("text-anchor", function(d,i) { return i === 0 ? 'end' : (i === labels.length-1 ? 'start' : 'middle'); })
+					.attr("x",           function(d,i) {
+						if (i === 0)					return -box_margin;
+						else if (i === labels.length-1)	return gradient_width + box_margin;
+						else 							return max > min ? gradient_width*(d-min)/(max-min) : 0;
+					})
+					.attr("y",           function(d,i) { return i === 0 || i === labels.length-1 ? 11 : box_size+12; });
+
+			return gradient_width + box_margin + 8*format(max).length + item_margin;
+		}
+
 
 
 		glegend = chart.container.selectAll('g.legend'),
@@ -396,31 +1200,46 @@ function createTreeHeatmap(domElement, root_node, opts) {
 				.attr('class', 'legend')
 				.attr('transform', 'translate(6,50)');
 
+		if (chart.color.stops !== null) {
+			// leave room on the left for the min label
+			glegend.attr('transform', 'translate('+(6+8*format(_.first(chart.color.stops)).length)+',50)');
+			x = build_gradient();
+		}
+		else {
+			x = build_buckets();
+		}
 
-		var glegend_item = glegend.selectAll('g.item').data( create_labels() );
+		if (constants.no_data_hatch)
+			build_no_data_pattern();
 
-		var glegitemEnter = glegend_item
-			.enter()
-				.append('g')
-				.attr('class', 'item');
+		if (chart.num_missing > 0)
+			build_no_data(x);
+	}
 
-		glegitemEnter.append('rect')
-			.attr("x",      function(d,i){ return d.x; } )
-			.attr('y',      0)
-			.attr('width',  box_size)
-			.attr('height', box_size)
-			.attr('fill',   function(d,i){return constants.colors.leaf_cell_bg[i];})
-			.attr("rx",     3)
-			.attr("ry",     3);
 
-		glegitemEnter.append('text')
-			.text( function(d) { return d.txt; } )
-			.attr("font-size", constants.fonts.legend)
-			.attr("fill",      '#333')
-			.attr("x",         function(d,i){ return d.x+box_size + box_margin; } )
-			.attr("y", 11);
+
+	/* ****************************************************************************
+	 * Per level header attributes. The tree can be deeper than the arrays in constants,
+	 * in which case the missing levels are derived from the last entry.
+	 * ****************************************************************************/
+	function header_height(level) {
+		var heights = constants.header_heights;
+		return heights[Math.min(level, heights.length-1)];
+	}
+
+	function header_font_size(level) {
+		var sizes = constants.fonts.headers;
+		return sizes[Math.min(level, sizes.length-1)];
 	}
 
+	function header_color(level) {
+		var colors = constants.colors.header_cell_bg;
+
+		if (level < colors.length)
+			return colors[level];
+
+		return d3.hsl(_.last(colors)).brighter(0.2 * (level-colors.length+1)).toString();
+	}
 
 
 	/* ****************************************************************************
@@ -434,9 +1253,9 @@ function createTreeHeatmap(domElement, root_node, opts) {
 	function cell_y(d) {
 		var y;
 		if (!d.leaf)
-			y = constants.header_y_pos[d.row_index];
+			y = chart.header_y_pos[d.row_index];
 		else
-			y = constants.header_y_pos[chart.num_headers] + (d.row_index-chart.num_headers)*chart.leaf_height;
+			y = chart.headers_height + (d.row_index-chart.num_headers)*chart.leaf_height;
 
 		return y + constants.cell_margin.v;
 	}
@@ -446,7 +1265,8 @@ function createTreeHeatmap(domElement, root_node, opts) {
 	}
 
 	function cell_height(d) {
-		return (!d.leaf ? constants.header_heights[d.row_index] : chart.leaf_height) - 2*constants.cell_margin.v;
+		var height = !d.leaf ? chart.header_y_pos[d.row_index + d.rowspan] - chart.header_y_pos[d.row_index] : chart.leaf_height;
+		return height - 2*constants.cell_margin.v;
 	}
 
 	function cell_class(d) {
@@ -454,38 +1274,51 @@ function createTreeHeatmap(domElement, root_node, opts) {
 	}
 
 	function cell_font_size(d) {
-		return !d.leaf ? constants.fonts.heatmap[d.row_index] : constants.fonts.heatmap[3];
+		return !d.leaf ? header_font_size(d.row_index) : constants.fonts.leaf;
 	}
 
 	function cell_opacity(d) {
-		return d.leaf && (!chart.show_leaf_text || chart.unit === constants.units.NONE) ? 0 : 1;
+		return d.leaf && (!chart.show_leaf_text || current_unit().hidden) ? 0 : 1;
+	}
+
+	// cell value expressed in the current unit
+	function cell_unit_value(d) {
+		if (value_unit().percent)
+			return percent_of(d.value, percent_basis(d).value);
+		else
+			return d.value;
 	}
 
 	function cell_value_text(d) {
+		var value;
+
 		if (d.empty)
 			return "";
-		else if (chart.unit === constants.units.PERCENT)
-			return d3.round( d.value * 100 / chart.root_node.values[chart.value_index], 1 )+'%';
-		else
-			return constants.currency_formatter(d3.round(d.value,0));
+
+		value = cell_unit_value(d);
+		return is_missing(value) ? 'n/a' : value_unit().cell(value);
+	}
+
+	// text of a raw value (not a share), e.g. in the tooltip, with the given unit or the one of displayed values. Percent units fall back on CURRENCY
+	function raw_value_text(value, unit) {
+		unit = unit || value_unit();
+
+		if (is_missing(value))
+			return chart.no_data_label;
+
+		return (unit.percent ? unit_def('CURRENCY') : unit).cell(value);
 	}
 
 
 	function cell_rect_fill(d) {
 		if (d.empty) {
-			return "#fff";
+			return constants.colors.empty_cell_bg;
 		}
 		else if (d.leaf) {
-			if (d.value < chart.legend_values[0])		return constants.colors.leaf_cell_bg[0];
-			else if (d.value < chart.legend_values[1])	return constants.colors.leaf_cell_bg[1];
-			else if (d.value < chart.legend_values[2])	return constants.colors.leaf_cell_bg[2];
-			else 										return constants.colors.leaf_cell_bg[3];
+			return d.missing ? no_data_fill() : chart.color.scale(d.value);
 		}
 		else {
-			if (d.row_index === 0)			return constants.colors.header_cell_bg[0];
-			else if (d.row_index === 1)		return constants.colors.header_cell_bg[1];
-			else if (d.row_index === 2)		return constants.colors.header_cell_bg[2];
-			else if (d.row_index === 3)		return constants.colors.header_cell_bg[3];
+			return header_color(d.row_index);
 		}
 	}
 
@@ -493,44 +1326,376 @@ function createTreeHeatmap(domElement, root_node, opts) {
 		if (d.empty) {
 			return "";
 		}
-		else if (d.leaf) {
-			if (d.value < chart.legend_values[0])		return constants.colors.leaf_cell_txt[0];
-			else if (d.value < chart.legend_values[1])	return constants.colors.leaf_cell_txt[1];
-			else if (d.value < chart.legend_values[2])	return constants.colors.leaf_cell_txt[2];
-			else 										return constants.colors.leaf_cell_txt[3];
-		}
 		else {
-			return '#fff';
+			return contrast_text_color(d.leaf && d.missing ? constants.colors.no_data : cell_rect_fill(d));
 		}
 	}
 
+	// colors.no_data, hatched if the theme says so. The pattern is defined along with the legend
+	function no_data_fill() {
+		return constants.no_data_hatch ? 'url(#tree-heatmap-no-data-'+chart.uid+')' : constants.colors.no_data;
+	}
 
-	function build_heatmap() {
-		var clicks = 0;
+	// opacity of the whole cell: cells not part of the highlight are dimmed
+	function cell_group_opacity(d) {
+		if (load_state(d) === 'loading')
+			return 0.5;
+		return chart.highlight !== null && highlight_state(d) === null ? 0.25 : 1;
+	}
 
-		function can_drill_to(d) {
-			// Allow user to click/tap on:
-			// - any cell if root node is not the topmost node -> allow double click/tap anywhere on the chart
-			// - cells that can be drilled down if root node is the topmost node: cells that are not empty and that have children and not the top header row
-			return (chart.click_handler !== undefined &&
-						(chart.root_node.parent !== null || (!d.empty && d.node.children !== undefined && d.level > 0)) );
-		}
+	// load errors win over selection, which wins over search outline
+	function cell_stroke(d) {
+		if (load_state(d) === 'error')
+			return constants.colors.load_error;
+		if (is_selected(d))
+			return constants.colors.selection;
+		return highlight_state(d) === 'match' ? constants.colors.highlight : 'none';
+	}
 
-		function drill_to(is_drill_down, d3_this, drill_d) {
-			// check
-			if (!can_drill_to(drill_d))
-				return;
+	function filtered_text(d) {
+		return d.num_filtered > 0 ? '+' + d.num_filtered + ' hidden' : '';
+	}
 
-			// cannot drill up when already at the top
-			if (!is_drill_down && chart.root_node.parent === null)
-				return;
+	function filtered_font_size(d) {
+		return Math.round(cell_font_size(d) * 0.8);
+	}
 
-			// cannot drill down on leaf nodes
-			if (is_drill_down && (drill_d.empty || drill_d.level === 0 || drill_d.node.children === undefined))
-				return;
+	function label_x(d) {
+		return cell_x(d)+6;
+	}
+
+	function label_y(d) {
+		return cell_y(d)+cell_font_size(d)+1;
+	}
+
+	function label_line_height(d) {
+		return Math.round(cell_font_size(d)*1.1);
+	}
+
+	function value_x(d) {
+		return cell_x(d)+(chart.leaf_width*d.colspan)-12;
+	}
+
+	function value_y(d) {
+		return cell_y(d) + cell_height(d) - (d.leaf ? Math.min(5, (chart.leaf_height-12)/2-1) : 5);
+	}
+
+	/* ****************************************************************************
+	 * Text of a cell, shared by both renderers. measure(text) returns the width of text in the font of the cell.
+	 * The label is the long label, else the long label wrapped on two lines in header cells tall enough,
+	 * else the short label, else the short label trimmed with an ellipsis.
+	 * When label and value cannot be both shown, chart.label_priority decides which one is kept.
+	 * Returns {lines: label lines (empty when it does not fit), show_value, value_width}
+	 * ****************************************************************************/
+	function layout_cell_text(d, measure) {
+		var width = cell_width(d) - 5,
+			lines = fit_label(d, width, measure),
+			label_width = d3.max(lines, measure) || 0,
+			value_width = measure(cell_value_text(d)),
+			show_value = value_width <= width,
+			// leaf values of hidden units (see cell_opacity) leave the label alone
+			competing = show_value && !(d.leaf && current_unit().hidden),
+			together = cell_height(d) >= lines.length*label_line_height(d) + cell_font_size(d) + 2 || label_width + value_width + 10 <= width;
+
+		if (lines.length > 0 && competing && !together) {
+			if (chart.label_priority === 'value')
+				lines = [];
+			else
+				show_value = competing = false;
+		}
+
+		return { lines:lines, show_value:show_value, value_width:competing ? value_width : 0 };
+	}
+
+	function fit_label(d, width, measure) {
+		var label_long = String(d.node.label_long),
+			label_short = String(d.node.label_short),
+			lines, trimmed;
+
+		if (measure(label_long) <= width)
+			return [label_long];
+
+		if (can_wrap(d) && (lines = wrap_text(label_long, width, measure)) !== null)
+			return lines;
+
+		if (measure(label_short) <= width)
+			return [label_short];
+
+		trimmed = ellipsize(label_short, width, measure);
+		return trimmed === null ? [] : [trimmed];
+	}
+
+	// header cells with room for two lines of label above the value
+	function can_wrap(d) {
+		return !d.leaf && cell_height(d) >= 2*label_line_height(d) + cell_font_size(d) + 4;
+	}
+
+	// longest start of text that fits in width once followed by an ellipsis, or null if not even one character fits
+	function ellipsize(text, width, measure) {
+		var low = 0,
+			high = text.length - 1,
+			mid;
+
+		function trimmed(length) {
+			return text.slice(0, length).replace(/\s+$/, '') + '\u2026';
+		}
+
+		while (low < high) {
+			mid = Math.ceil((low + high) / 2);
+			if (measure(trimmed(mid)) <= width)
+				low = mid;
+			else
+				high = mid - 1;
+		}
+
+		return low > 0 ? trimmed(low) : null;
+	}
+
+	// as many words as fit on the first line, the rest on the second line, trimmed if needed. null if the first word does not fit
+	function wrap_text(text, width, measure) {
+		var words = text.split(/\s+/),
+			first = words[0],
+			i, rest;
+
+		if (words.length < 2 || measure(first) > width)
+			return null;
+
+		for (i = 1; i < words.length && measure(first + ' ' + words[i]) <= width; i++)
+			first += ' ' + words[i];
+
+		rest = words.slice(i).join(' ');
+		if (measure(rest) > width)
+			rest = ellipsize(rest, width, measure);
+
+		return rest === null ? null : [first, rest];
+	}
+
+	// progressively count from the previously displayed value to the new one
+	function value_text_tween(d) {
+		var node = this,
+			from = this.__value__ === undefined ? d.value : this.__value__,
+			interpolate = is_missing(from) || is_missing(d.value) ? function() { return d.value; } : d3.interpolate(from, d.value);
+
+		this.__value__ = d.value;
+
+		return function(t) {
+			node.textContent = cell_value_text( _.extend({}, d, {value:interpolate(t)}) );
+		};
+	}
+
+
+	/* ****************************************************************************
+	 * Stable identifier of a node: opts.node_id(node) if given, else node.id, else the path of labels from the topmost node
+	 * (with the rank of the node among its siblings having the same label, if any).
+	 * Cells are keyed by it so that they can be animated in place when data or layout change.
+	 * ****************************************************************************/
+	function node_key(node) {
+		var path = [];
+
+		if (node.others === true)
+			return node_key(node.parent) + '\u0000*others*';
+
+		if (chart.node_id)
+			return chart.node_id(node);
+
+		if (node.id !== undefined)
+			return node.id;
+
+		// siblings sharing a label are told apart by their rank among them
+		for (; node !== null && node !== undefined; node = node.parent)
+			path.unshift(label_rank(node) === 0 ? node.label_long : node.label_long + '\u0001' + label_rank(node));
+
+		return path.join('\u0000');
+	}
+
+	// rank of node among its siblings having the same label, in children order. Ranked for all siblings at once, reset by prepare_tree()
+	function label_rank(node) {
+		var counts = {};
+
+		if (node.label_rank === undefined) {
+			_.each(node.parent ? node.parent.children : [node], function(sibling) {
+				sibling.label_rank = counts[sibling.label_long] || 0;
+				counts[sibling.label_long] = sibling.label_rank + 1;
+			});
+		}
+
+		return node.label_rank;
+	}
+
+	function cell_key(d) {
+		// nodes repeated as a leaf below their header (opts.ragged_leaves) have a cell of each kind
+		return d.empty ? 'empty:'+d.row_index+':'+d.col_index : node_key(d.node) + (d.ragged ? '\u0000*leaf*' : '');
+	}
+
+	function find_node(tree, key) {
+		var found = null;
+
+		(function find(node) {
+			if (found !== null)
+				return;
+			if (node_key(node) === key)
+				found = node;
+			else
+				_.each(node.children, find);
+		})(tree);
+
+		return found;
+	}
+
+
+	/* ****************************************************************************
+	 * Tooltip showing the details of the hovered/long pressed node
+	 * ****************************************************************************/
+	function tooltip_info(d) {
+		var node = d.node,
+			basis = percent_basis(d),
+			path = [],
+			n;
+
+		function share(total) {
+			var pc = percent_of(d.value, total);
+			return pc === null ? null : pc / 100;
+		}
+
+		for (n = node; n !== null && n !== undefined; n = n.parent)
+			path.unshift(n.label_long);
+
+		return {
+			node:            node,
+			path:            path,
+			value:           d.value,
+			values:          _.map(node.values, function(value, index) {
+								return { name:chart.value_names[index] || ('Value '+(index+1)), value:value, text:raw_value_text(value, current_unit()),
+									current:index === chart.value_index };
+							}).concat( _.map(chart.metrics, function(metric) {
+								var value = metric_value(metric, node);
+								return { name:metric.label || metric.name, value:value, text:raw_value_text(value, metric_unit(metric) || current_unit()),
+									current:metric.name === chart.value_index };
+							}) ),
+			share_of_parent: node.parent ? share(node_value(node.parent)) : null,
+			share_of_root:   share(node_value(chart.root_node)),
+			percent_basis:   chart.percent_basis,
+			share_of_basis:  share(basis.value),
+			basis_label:     basis.label,
+			num_filtered:    d.num_filtered,
+			root_node:       chart.root_node,
+		};
+	}
+
+	function default_tooltip_formatter(info) {
+		var html;
+
+		function pc(share) {
+			return share === null ? '-' : d3.round(share*100, 1)+'%';
+		}
+
+		html = '<div class="path">' + _.map(_.initial(info.path), _.escape).join(' &rsaquo; ') + '</div>' +
+			'<div class="label"><b>' + _.escape(_.last(info.path)) + '</b></div><table>';
+
+		_.each(info.values, function(v) {
+			html += '<tr' + (v.current ? ' style="font-weight:bold"' : '') + '><td>' + _.escape(v.name) + '</td>' +
+				'<td style="text-align:right;padding-left:12px">' + v.text + '</td></tr>';
+		});
+
+		function share_row(label, share, current) {
+			return '<tr' + (current ? ' style="font-weight:bold"' : '') + '><td>Share of ' + _.escape(label) + '</td>' +
+				'<td style="text-align:right;padding-left:12px">' + pc(share) + '</td></tr>';
+		}
+
+		if (info.node.parent)
+			html += share_row(info.node.parent.label_long, info.share_of_parent, info.percent_basis === 'parent');
+
+		if (info.node !== info.root_node)
+			html += share_row(info.root_node.label_long, info.share_of_root, info.percent_basis === 'root');
+
+		// column and level shares are only listed when they are the basis of percentages
+		if ((info.percent_basis === 'column' && info.node !== info.root_node && info.node.parent !== info.root_node) || info.percent_basis === 'level')
+			html += share_row(info.basis_label, info.share_of_basis, true);
+
+		if (info.node.others === true)
+			html += '<tr><td>Grouped nodes</td><td style="text-align:right;padding-left:12px">' + info.node.grouped.length + '</td></tr>';
+
+		if (info.node.load_error)
+			html += '<tr><td colspan="2" style="color:' + constants.colors.load_error + '">Could not load: ' + _.escape(info.node.load_error) + '</td></tr>';
+
+		if (info.num_filtered > 0)
+			html += '<tr><td>Hidden children</td><td style="text-align:right;padding-left:12px">' + info.num_filtered + '</td></tr>';
+
+		return html + '</table>';
+	}
+
+	function show_tooltip(d, page_x, page_y) {
+		if (!chart.tooltip_enabled || d.empty)
+			return;
+
+		if (chart.tooltip === null) {
+			chart.tooltip = d3.select('body')
+				.append('div')
+				.attr('class', 'tree-heatmap-tooltip')
+				.style('position',       'absolute')
+				.style('pointer-events', 'none')
+				.style('z-index',        '1000')
+				.style('padding',        '6px 8px')
+				.style('border-radius',  '4px')
+				.style('box-shadow',     '0 1px 4px rgba(0,0,0,0.3)');
+		}
+
+		// theme related styles are set every time, themes can change
+		chart.tooltip
+			.html( (chart.tooltip_formatter || default_tooltip_formatter)(tooltip_info(d)) )
+			.style('font-family',      constants.fonts.family)
+			.style('font-size',        constants.fonts.legend)
+			.style('background-color', constants.colors.tooltip_bg)
+			.style('color',            constants.colors.tooltip_txt)
+			.style('left',             (page_x+12)+'px')
+			.style('top',              (page_y+12)+'px')
+			.style('display',          '');
+	}
+
+	function hide_tooltip() {
+		if (chart.tooltip !== null)
+			chart.tooltip.style('display', 'none');
+	}
+
+
+	function build_heatmap() {
+		var clicks = 0,
+			long_press_timer = null;
+
+		function can_drill_to(d) {
+			// Allow user to click/tap on:
+			// - any cell if root node is not the topmost node -> allow double click/tap anywhere on the chart
+			// - cells that can be drilled down if root node is the topmost node: cells that are not empty and that have children and not the top header row
+			return (gesture_mapped('drill_down') || gesture_mapped('drill_up')) &&
+						(chart.root_node.parent !== null || (!d.empty && has_children(d.node) && d.level > 0));
+		}
+
+		function drill_to(is_drill_down, d3_this, drill_d) {
+			// check
+			if (!can_drill_to(drill_d))
+				return;
+
+			// cannot drill up when already at the top
+			if (!is_drill_down && chart.root_node.parent === null)
+				return;
+
+			// cannot drill down on leaf nodes
+			if (is_drill_down && (drill_d.empty || drill_d.level === 0 || !has_children(drill_d.node)))
+				return;
+
+			// fetch the children first, then drill
+			if (is_drill_down && needs_loading(drill_d.node)) {
+				load_children([drill_d.node], function() {
+					if (drill_d.node.children !== undefined)
+						drill_to(is_drill_down, d3_this, drill_d);
+				});
+				return;
+			}
 
 
-			var gmap = chart.container.selectAll('g.chart');
+			var gmap = chart.container.selectAll('g.chart'),
+				from = chart.root_node,
+				to = is_drill_down ? drill_d.node : chart.root_node.parent;
 
 			// All cells but the one we selected
 			var cells = gmap.selectAll('g.cell').filter( function(d) {return d.id !== drill_d.id;})
@@ -554,32 +1719,129 @@ function createTreeHeatmap(domElement, root_node, opts) {
 				.transition()
 				.delay(50)
 				.each('end', function() {
-					chart.click_handler(is_drill_down, chart.root_node, drill_d.node);
+					drill(is_drill_down, from, to, drill_d.node);
 				});
 		}
 
+		// run the action mapped to gesture (see opts.gestures)
+		function perform_gesture(gesture, d3_this, d) {
+			var action = chart.gestures[gesture];
+
+			if (action === 'select')
+				select_cell(d, null);
+			else if (action === 'drill_down')
+				drill_to(true, d3_this, d);
+			else if (action === 'drill_up')
+				drill_to(false, d3_this, d);
+		}
+
+		// "Others" cells expand in place instead of drilling
+		function is_clickable(d) {
+			return can_drill_to(d) || (!d.empty && (d.node.others === true || (chart.selection_mode !== 'none' && gesture_mapped('select'))));
+		}
+
 		function click_cell_handler(d3_this, d) {
+			var source_event = d3.event;
+
+			// modifier clicks extend the selection
+			if (chart.selection_mode !== 'none' && source_event && (source_event.ctrlKey || source_event.metaKey || source_event.shiftKey)) {
+				emit_cell_event('cellclick', d, source_event);
+				select_cell(d, source_event);
+				return;
+			}
+
+			if (!d.empty && d.node.others === true) {
+				emit_cell_event('cellclick', d, source_event);
+				expand_others(d.node);
+				return;
+			}
+
+			// no need to wait for a second click if double clicks do nothing
+			if (!chart.gestures.dblclick) {
+				emit_cell_event('cellclick', d, source_event);
+				perform_gesture('click', d3_this, d);
+				return;
+			}
+
 			if (++clicks === 1) {
 				setTimeout( function(){
-					// clicks===1 -> single click = drill down
-					// otherwise  -> double click = drill up
-					var down = clicks === 1;
+					// clicks===1 -> single click
+					// otherwise  -> double click
+					var single = clicks === 1;
 					clicks = 0;
-					drill_to(down, d3_this, d);
+
+					emit_cell_event(single ? 'cellclick' : 'celldblclick', d, source_event);
+					perform_gesture(single ? 'click' : 'dblclick', d3_this, d);
 				}, 300);	// 300ms to distinguish between single and dbl clicks
 			}
 		}
 
+		function context_menu_handler(d3_this, d) {
+			if (chart.gestures.contextmenu) {
+				d3.event.preventDefault();
+				perform_gesture('contextmenu', d3_this, d);
+			}
+		}
+
+		// A tap is handled as a click, while a long press shows the tooltip.
+		// touchend cancels the click the browser would otherwise emulate right after.
+		function touch_start_handler(d3_this, d) {
+			var touch = d3.event.touches[0];
+
+			clearTimeout(long_press_timer);
+			long_press_timer = setTimeout( function() {
+				long_press_timer = null;
+				show_tooltip(d, touch.pageX, touch.pageY);
+			}, 500);
+		}
+
+		function touch_end_handler(d3_this, d) {
+			d3.event.preventDefault();
+
+			if (long_press_timer !== null) {
+				clearTimeout(long_press_timer);
+				long_press_timer = null;
+				click_cell_handler(d3_this, d);
+			}
+			else {
+				setTimeout(hide_tooltip, 1500);
+			}
+		}
+
+		function bind_cell_events(selection) {
+			selection
+				.style('cursor',  function(d) { return is_clickable(d) ? 'pointer':'default'; })
+				.on("click",       function(d) { click_cell_handler(this,d); })
+				.on("contextmenu", function(d) { context_menu_handler(this,d); })
+				.on("touchstart",  function(d) { touch_start_handler(this,d); })
+				.on("touchend",    function(d) { touch_end_handler(this,d); })
+				.on("mousemove",   function(d) { show_tooltip(d, d3.event.pageX, d3.event.pageY); });
+		}
+
+		// hover events are tracked on the whole cell so that moving between its rect and texts does not count
+		function bind_hover_events(selection) {
+			selection
+				.on("mouseenter", function(d) { emit_cell_event('cellhover', d, d3.event); })
+				.on("mouseleave", function(d) {
+					hide_tooltip();
+					emit_cell_event('cellleave', d, d3.event);
+				});
+		}
+
 
 
 		var chart_translate = {x:0, y:chart.top_margin},
-			row_max_width = chart.leaf_width * chart.num_max_colspan;
+			row_max_width = chart.leaf_width * chart.num_max_colspan,
+			duration = 300;
 
 		if (row_max_width < chart.total_width)
 			chart_translate.x = (chart.total_width - row_max_width) / 2;
 
 		var gmap = chart.container.selectAll('g.chart').data([1]);
 
+		// cells of a chart that is appearing are not animated on their own
+		var gmap_entering = !gmap.enter().empty();
+
 		gmap.enter()
 				.append('g')
 				.attr('class', 'chart')
@@ -589,19 +1851,30 @@ function createTreeHeatmap(domElement, root_node, opts) {
 				 	.duration(150)
 					.attr('opacity', '1.0');
 
+		gmap.transition()
+			.duration(duration)
+			.attr('transform', 'translate('+chart_translate.x+','+chart_translate.y+')');
 
-		var grows = gmap.selectAll('.row').data(chart.rows);
 
-		var growsEnter = grows.enter()
-				.append('g')
-				.attr('class', 'row');
+		if (chart.renderer === 'canvas') {
+			build_canvas(gmap, row_max_width, chart.total_height - chart.top_margin, {
+				clickable:    is_clickable,
+				click:        click_cell_handler,
+				context_menu: context_menu_handler,
+				touch_start:  touch_start_handler,
+				touch_end:    touch_end_handler
+			});
+			return;
+		}
 
-		grows.exit().remove();
 
-		var cells = growsEnter.selectAll('.cell').data(function(d){return d;});
+		// One <g> per cell, keyed by node so that cells can be moved around when the layout changes
+		var cells = gmap.selectAll('g.cell').data( _.flatten(chart.rows, true), cell_key );
+
 		var gcell = cells.enter()
 				.append('g')
-					.attr('class', cell_class);
+					.attr('opacity', gmap_entering ? 1 : 0)
+					.call(bind_hover_events);
 
 		// cell rect
 		gcell.append('rect')
@@ -609,26 +1882,21 @@ function createTreeHeatmap(domElement, root_node, opts) {
 				.attr("y",        cell_y)
 				.attr("width",    cell_width)
 				.attr("height",   cell_height)
-				.attr("rx",       6)
-				.attr("ry",       6)
+				.attr("rx",       constants.corner_radius)
+				.attr("ry",       constants.corner_radius)
 				.attr("fill",     cell_rect_fill)
-				.style('cursor',  function(d) { return can_drill_to(d) ? 'pointer':'default'; })
-				.on("click",      function(d) { click_cell_handler(this,d); })
-				.on("touchstart", function(d) { click_cell_handler(this,d); });
+				.call(bind_cell_events);
 
 
 		// cell label
 		gcell.append('text')
-				.text( function(d) { return d.empty ? '' : d.node.label_long; } )
 				.attr("class",     "label")
 				.attr("font-size", cell_font_size)
 				.attr("opacity",   cell_opacity)
 				.attr("fill",      cell_text_fill)
-				.attr("x", function(d){ return cell_x(d)+6; } )
-				.attr("y", function(d){ return cell_y(d)+cell_font_size(d)+1;} )
-				.style('cursor',  function(d) { return can_drill_to(d) ? 'pointer':'default'; })
-				.on("click",      function(d) { click_cell_handler(this,d); })
-				.on("touchstart", function(d) { click_cell_handler(this,d); });
+				.attr("x",         label_x )
+				.attr("y",         label_y )
+				.call(bind_cell_events);
 
 
 		// cell value
@@ -639,152 +1907,1090 @@ function createTreeHeatmap(domElement, root_node, opts) {
 				.attr("fill",        cell_text_fill)
 				.attr("text-anchor", "end")
 				.attr("opacity",     cell_opacity)
-				.attr("x", function(d){ return cell_x(d)+(chart.leaf_width*d.colspan)-12; } )
-				.attr("y", function(d){ return cell_y(d) + cell_height(d) - (d.leaf ? Math.min(5, (chart.leaf_height-12)/2-1) : 5); })
-				.style('cursor',  function(d) { return can_drill_to(d) ? 'pointer':'default'; })
-				.on("click",      function(d) { click_cell_handler(this,d); })
-				.on("touchstart", function(d) { click_cell_handler(this,d); });
+				.attr("x",           value_x )
+				.attr("y",           value_y )
+				.each( function(d) { this.__value__ = d.value; } )
+				.call(bind_cell_events);
+
 
+		// number of children hidden by the filter
+		gcell.append('text')
+				.attr("class",       "filtered")
+				.attr("font-size",   filtered_font_size)
+				.attr("fill",        cell_text_fill)
+				.attr("x",           label_x )
+				.attr("y",           value_y )
+				.call(bind_cell_events);
 
 
-		// switch from long to short label if cell is too small
-		gmap.selectAll('.cell text.label')
-			.text( function(d,i) {
-				if (d.empty)
-					return '';
+		// existing cells: move them to their new location
+		cells.attr('class', cell_class);
 
-				var textWidth = this.getComputedTextLength();
-				var cellWidth = cell_width(d);
+		_.each(['rect', 'text.label', 'text.value'], function(selector) {
+			cells.select(selector).style('cursor', function(d) { return is_clickable(d) ? 'pointer':'default'; });
+		});
 
-				return (textWidth+5 > cellWidth ? d.node.label_short : d.node.label_long);
-			});
+		cells.select('rect')
+			.transition()
+			.duration(duration)
+				.attr("x",        cell_x)
+				.attr("y",        cell_y)
+				.attr("width",    cell_width)
+				.attr("height",   cell_height)
+				.attr("fill",     cell_rect_fill);
+
+		cells.select('text.label')
+			.attr("font-size", cell_font_size)
+			.transition()
+			.duration(duration)
+				.attr("opacity",   cell_opacity)
+				.attr("fill",      cell_text_fill)
+				.attr("x",         label_x )
+				.attr("y",         label_y );
+
+		cells.select('text.value')
+			.attr("font-size", cell_font_size)
+			.transition()
+			.duration(duration)
+				.attr("opacity",   cell_opacity)
+				.attr("fill",      cell_text_fill)
+				.attr("x",         value_x )
+				.attr("y",         value_y )
+				.tween('text',     value_text_tween);
+
+		// entering cells fade in, cells not matching the current highlight are dimmed
+		cells.transition()
+			.duration(duration)
+			.attr('opacity', cell_group_opacity);
+
+		cells.classed('loading',    function(d) { return load_state(d) === 'loading'; })
+			.classed('load-error', function(d) { return load_state(d) === 'error'; });
+
+		cells.select('rect')
+			.classed('selected',  is_selected)
+			.attr('stroke',       cell_stroke)
+			.attr('stroke-width', 3);
+
+		cells.select('text.filtered')
+			.text( filtered_text )
+			.attr("font-size", filtered_font_size)
+			.transition()
+			.duration(duration)
+				.attr("fill",      cell_text_fill)
+				.attr("x",         label_x )
+				.attr("y",         value_y );
+
+		cells.exit()
+			.transition()
+			.duration(duration)
+				.attr('opacity', 0)
+				.remove();
+
+
+
+		// fit labels and values in their cell
+		fit_cell_texts(cells);
+	}
+
+
+	/* ****************************************************************************
+	 * Show, wrap, trim or hide the label and value of SVG cells so that they fit, see layout_cell_text().
+	 * To be called again whenever the text of cells changes (unit, value index, percent basis...)
+	 * ****************************************************************************/
+	function fit_cell_texts(cells) {
+		cells.select('text.label')
+			.each( function(d) {
+				var node = this,
+					label = d3.select(this),
+					text, first_width;
+
+				function measure(t) {
+					node.textContent = t;
+					return node.getComputedTextLength();
+				}
+
+				label.style("display", "");
+
+				if (d.empty) {
+					label.text('');
+					d.hidden = false;
+					d.show_value = true;
+					d.value_width = 0;
+					return;
+				}
+
+				text = layout_cell_text(d, measure);
+				d.hidden = text.lines.length === 0;
+				d.show_value = text.show_value;
+				d.value_width = text.value_width;
+
+				// second line: back to the start of the first one, one line below
+				if (text.lines.length === 2) {
+					first_width = measure(text.lines[0]);
+					label.text('');
+					label.append('tspan').text(text.lines[0]);
+					label.append('tspan')
+						.attr('dx', -first_width)
+						.attr('dy', label_line_height(d))
+						.text(text.lines[1]);
+				}
+				else {
+					label.text(text.lines.length === 1 ? text.lines[0] : '');
+				}
+			})
+			.style("display", function(d) { return d.hidden ? "none" : ""; });
 
+		cells.select('text.value')
+			.style("display", function(d) { return d.show_value ? "" : "none"; });
 
-		// hide cell text if cell still too small
-		gmap.selectAll('.cell text.label')
+		// hidden children count goes next to the value, if there is room for both
+		cells.select('text.filtered')
 			.style("display",function(d){
-				var textWidth = this.getComputedTextLength();
-				var cellWidth = cell_width(d);
-				d.hidden = (textWidth+5 > cellWidth);
-				return d.hidden ? "none" : "";
+				return d.hidden || this.getComputedTextLength() + d.value_width + 16 > cell_width(d) ? "none" : "";
+			});
+	}
+
+
+	/* ****************************************************************************
+	 * Canvas renderer: draws the same layout as build_heatmap() in a single <canvas> embedded in the SVG,
+	 * which scales to thousands of cells. Hit testing is done from the layout.
+	 * ****************************************************************************/
+	function build_canvas(gmap, width, height, handlers) {
+		var ratio = window.devicePixelRatio || 1,
+			fo = gmap.selectAll('foreignObject').data([1]),
+			touched = null,
+			hovered = null;
+
+		function hover(d) {
+			if (d === hovered)
+				return;
+			if (hovered !== null)
+				emit_cell_event('cellleave', hovered, d3.event);
+			hovered = d;
+			if (hovered !== null)
+				emit_cell_event('cellhover', hovered, d3.event);
+		}
+
+		function hit(event_name) {
+			var pos = event_name === 'touch' ? d3.touches(this)[0] : d3.mouse(this);
+			return pos === undefined ? null : canvas_hit(pos[0], pos[1]);
+		}
+
+		fo.enter()
+			.append('foreignObject')
+				.append('xhtml:canvas')
+					.style('display', 'block')
+					.on('click',      function() {
+						var d = hit.call(this);
+						if (d !== null)
+							chart.canvas_handlers.click(this, d);
+					})
+					.on('mousemove',  function() {
+						var d = hit.call(this);
+
+						d3.select(this).style('cursor', d !== null && chart.canvas_handlers.clickable(d) ? 'pointer' : 'default');
+						hover(d);
+
+						if (d === null || d.empty)
+							hide_tooltip();
+						else
+							show_tooltip(d, d3.event.pageX, d3.event.pageY);
+					})
+					.on('mouseout',   function() {
+						hide_tooltip();
+						hover(null);
+					})
+					.on('contextmenu', function() {
+						var d = hit.call(this);
+						if (d !== null)
+							chart.canvas_handlers.context_menu(this, d);
+					})
+					.on('touchstart', function() {
+						touched = hit.call(this, 'touch');
+						if (touched !== null)
+							chart.canvas_handlers.touch_start(this, touched);
+					})
+					.on('touchend',   function() {
+						if (touched !== null)
+							chart.canvas_handlers.touch_end(this, touched);
+						touched = null;
+					});
+
+		fo.attr('width', width)
+			.attr('height', height);
+
+		chart.canvas_handlers = handlers;
+		chart.canvas = fo.select('canvas')
+			.attr('width',  Math.ceil(width*ratio))
+			.attr('height', Math.ceil(height*ratio))
+			.style('width',  width+'px')
+			.style('height', height+'px')
+			.node();
+
+		draw_canvas();
+	}
+
+	function draw_canvas() {
+		var context = chart.canvas.getContext('2d'),
+			ratio = chart.canvas.width / Math.max(1, parseFloat(chart.canvas.style.width));
+
+		function rounded_rect(x, y, w, h, r) {
+			r = Math.max(0, Math.min(r, w/2, h/2));
+			context.beginPath();
+			context.moveTo(x+r, y);
+			context.arcTo(x+w, y,   x+w, y+h, r);
+			context.arcTo(x+w, y+h, x,   y+h, r);
+			context.arcTo(x,   y+h, x,   y,   r);
+			context.arcTo(x,   y,   x+w, y,   r);
+			context.closePath();
+		}
+
+		// diagonal lines within the current path, as the SVG pattern of no_data_fill()
+		function hatch(x, y, w, h) {
+			var i;
+
+			context.save();
+			context.clip();
+			context.beginPath();
+			for (i = -h; i < w; i += 6) {
+				context.moveTo(x+i, y+h);
+				context.lineTo(x+i+h, y);
+			}
+			context.strokeStyle = constants.colors.text_dark;
+			context.lineWidth = 1;
+			context.stroke();
+			context.restore();
+		}
+
+		context.setTransform(ratio, 0, 0, ratio, 0, 0);
+		context.clearRect(0, 0, chart.canvas.width, chart.canvas.height);
+		context.globalAlpha = 1;
+
+		_.each( _.flatten(chart.rows, true), function(d) {
+			var w = cell_width(d),
+				text, value_width;
+
+			rounded_rect(cell_x(d), cell_y(d), w, cell_height(d), constants.corner_radius);
+			context.globalAlpha = cell_group_opacity(d);
+			context.fillStyle = d.leaf && d.missing ? constants.colors.no_data : cell_rect_fill(d);
+			context.fill();
+
+			// the hatch replaces the current path, which the outline below needs
+			if (d.leaf && d.missing && constants.no_data_hatch) {
+				hatch(cell_x(d), cell_y(d), w, cell_height(d));
+				rounded_rect(cell_x(d), cell_y(d), w, cell_height(d), constants.corner_radius);
+			}
+
+			if (cell_stroke(d) !== 'none') {
+				context.strokeStyle = cell_stroke(d);
+				context.lineWidth = 3;
+				context.stroke();
+			}
+
+			if (d.empty || cell_opacity(d) === 0)
+				return;
+
+			context.font = cell_font_size(d) + 'px ' + constants.fonts.family;
+			context.fillStyle = cell_text_fill(d);
+
+			// same rules as the SVG renderer
+			text = layout_cell_text(d, function(t) { return context.measureText(t).width; });
+			d.hidden = text.lines.length === 0;
+
+			context.textAlign = 'start';
+			_.each(text.lines, function(line, i) {
+				context.fillText(line, label_x(d), label_y(d) + i*label_line_height(d));
 			});
 
-		// then hide all value labels for those cells that have their name hidden
-		gmap.selectAll('.cell text.value')
-			.style("display",function(d){
-				if (d.hidden)
-					return "none";
-				var textWidth = this.getComputedTextLength();
-				var cellWidth = cell_width(d);
-				if (textWidth+5 > cellWidth) {
-					return "none";
-				}
-				return "";
-			});
+			if (text.show_value) {
+				context.textAlign = 'end';
+				context.fillText(cell_value_text(d), value_x(d), value_y(d));
+			}
+
+			value_width = text.value_width;
+
+			if (d.num_filtered > 0 && !d.hidden) {
+				context.font = filtered_font_size(d) + 'px ' + constants.fonts.family;
+				if (context.measureText(filtered_text(d)).width + value_width + 16 <= w) {
+					context.textAlign = 'start';
+					context.fillText(filtered_text(d), label_x(d), value_y(d));
+				}
+			}
+		});
+	}
+
+	// cell located at x,y (relative to the canvas), or null
+	function canvas_hit(x, y) {
+		var col = Math.floor(x / chart.leaf_width),
+			row_index,
+			level,
+			hit;
+
+		if (y < chart.headers_height) {
+			for (level = 0; level < chart.num_headers && y >= chart.header_y_pos[level+1]; level++);
+			row_index = level;
+		}
+		else {
+			row_index = chart.num_headers + Math.floor((y - chart.headers_height) / chart.leaf_height);
+		}
+
+		if (row_index >= chart.rows.length)
+			return null;
+
+		// header cells of nodes without children can span down several rows
+		for (level = row_index; level >= 0; level--) {
+			hit = _.find(chart.rows[level], function(d) { return col >= d.col_index && col < d.col_index + d.colspan && level + d.rowspan > row_index; });
+			if (hit !== undefined)
+				return hit;
+			if (level >= chart.num_headers)
+				break;
+		}
+
+		return null;
+	}
+
+
+	/* ****************************************************************************
+	 *
+	 * ****************************************************************************/
+	function build_title() {
+		var gtitle;
+
+		chart.container.selectAll('g.title').remove();
+
+		gtitle = chart.container.selectAll('g.title').data([1]);
+		gtitle.enter()
+				.append('g')
+				.attr('class', 'title');
+
+		gtitle.selectAll('text.chartTitle')
+			.data([chart.title])
+			.enter()
+				.append('text')
+	 				.text( function(d) { return d; } )
+					.attr("class","chartTitle")
+					.attr('text-anchor', 'start')
+					.attr('font-size',   constants.fonts.title+'px')
+					.attr('font-weight', 'bold')
+					.attr('fill',        constants.colors.title)
+					.attr("x",2)
+					.attr("y",30);
+
+		if (chart.breadcrumbs)
+			build_breadcrumbs(gtitle);
+	}
+
+
+	/* ****************************************************************************
+	 * Path from the topmost node down to the current root node, displayed right after the title.
+	 * Clicking a crumb makes that ancestor the new root node.
+	 * ****************************************************************************/
+	function build_breadcrumbs(gtitle) {
+		var path = [],
+			separator = ' › ',
+			x = 2,
+			node;
+
+		for (node = chart.root_node; node !== null && node !== undefined; node = node.parent)
+			path.unshift(node);
+
+		if (chart.title)
+			x += gtitle.select('text.chartTitle').node().getComputedTextLength() + 16;
+
+		gtitle.selectAll('text.crumb')
+			.data(path)
+			.enter()
+				.append('text')
+					.text( function(d,i) { return (i > 0 ? separator : '') + d.label_long; } )
+					.attr('class',       function(d) { return d === chart.root_node ? 'crumb current' : 'crumb'; })
+					.attr('text-anchor', 'start')
+					.attr('font-size',   constants.fonts.breadcrumbs+'px')
+					.attr('fill',        function(d) { return d === chart.root_node ? constants.colors.breadcrumb_current : constants.colors.breadcrumb; })
+					.attr('y',           30)
+					.style('cursor',     function(d) { return d === chart.root_node ? 'default' : 'pointer'; })
+					.on('click',         function(d) {
+						if (d !== chart.root_node)
+							drill(false, chart.root_node, d, d);
+					})
+					.each( function() {
+						d3.select(this).attr('x', x);
+						x += this.getComputedTextLength();
+					});
+	}
+
+
+	/* ****************************************************************************
+	 * Exports
+	 * ****************************************************************************/
+
+	// standalone SVG document of the current view, with the styles coming from CSS inlined
+	function export_svg() {
+		var svg_node = chart.svg.node(),
+			clone = svg_node.cloneNode(true),
+			originals = svg_node.getElementsByTagName('*'),
+			copies = clone.getElementsByTagName('*'),
+			properties = ['fill', 'stroke', 'opacity', 'display', 'visibility', 'font-family', 'font-size', 'font-weight', 'text-anchor'],
+			i;
+
+		for (i = 0; i < originals.length; i++) {
+			var computed = window.getComputedStyle(originals[i]);
+
+			_.each(properties, function(property) {
+				var value = computed.getPropertyValue(property);
+				if (value)
+					copies[i].style.setProperty(property, value);
+			});
+		}
+
+		clone.setAttribute('version', '1.1');
+
+		// canvas renderer: replace the canvas by a snapshot of it
+		_.each(svg_node.getElementsByTagName('foreignObject'), function(fo) {
+			var copy = clone.getElementsByTagName('foreignObject')[0],
+				image = document.createElementNS('http://www.w3.org/2000/svg', 'image');
+
+			image.setAttribute('width',  fo.getAttribute('width'));
+			image.setAttribute('height', fo.getAttribute('height'));
+			image.setAttributeNS('http://www.w3.org/1999/xlink', 'xlink:href', fo.getElementsByTagName('canvas')[0].toDataURL('image/png'));
+			copy.parentNode.replaceChild(image, copy);
+		});
+
+		// the background is a style on the svg element, which not all viewers honor
+		if (constants.colors.background) {
+			var bg = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+			bg.setAttribute('width',  chart.total_width);
+			bg.setAttribute('height', chart.total_height);
+			bg.setAttribute('fill',   constants.colors.background);
+			clone.insertBefore(bg, clone.firstChild);
+		}
+
+		return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(clone);
+	}
+
+	// rasterizes export_svg() and invokes callback(data_url, blob). blob is null in browsers without canvas.toBlob(),
+	// both are null if the image could not be rendered
+	function export_png(scale, callback) {
+		var image = new Image(),
+			svg_url = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(export_svg());
+
+		scale = scale || 1;
+
+		image.onload = function() {
+			var canvas = document.createElement('canvas'),
+				context,
+				data_url;
+
+			canvas.width  = Math.ceil(chart.total_width * scale);
+			canvas.height = Math.ceil(chart.total_height * scale);
+
+			// some browsers taint the canvas with SVG images
+			try {
+				context = canvas.getContext('2d');
+				context.scale(scale, scale);
+				context.drawImage(image, 0, 0);
+
+				data_url = canvas.toDataURL('image/png');
+			}
+			catch (e) {
+				callback(null, null);
+				return;
+			}
+
+			if (canvas.toBlob)
+				canvas.toBlob( function(blob) { callback(data_url, blob); }, 'image/png');
+			else
+				callback(data_url, null);
+		};
+
+		image.onerror = function() {
+			callback(null, null);
+		};
+
+		image.src = svg_url;
+	}
+
+	// one line per visible cell: row, column, level, path from the root node, label and value in the current unit
+	function export_csv() {
+		var lines = [ ['row', 'column', 'level', 'path', 'label', 'value'] ];
+
+		function escape(field) {
+			field = field === undefined || field === null ? '' : String(field);
+			return /[",\n\r]/.test(field) ? '"' + field.replace(/"/g, '""') + '"' : field;
+		}
+
+		function path(node) {
+			var labels = [];
+			for (; node !== chart.root_node.parent && node !== null && node !== undefined; node = node.parent)
+				labels.unshift(node.label_long);
+			return labels.join(' / ');
+		}
+
+		_.each(chart.rows, function(row) {
+			_.each(row, function(d) {
+				if (!d.empty)
+					lines.push([ d.row_index, d.col_index, d.level, path(d.node), d.node.label_long, cell_unit_value(d) ]);
+			});
+		});
+
+		return _.map(lines, function(line) { return _.map(line, escape).join(','); }).join('\n') + '\n';
+	}
+
+
+	/* ****************************************************************************
+	 *
+	 * ****************************************************************************/
+	function erase_chart(callback) {
+
+		var gcontainer = chart.svg.select('g.container');
+
+		if (gcontainer.empty()) {
+			callback();
+		}
+		else {
+			gcontainer.transition()
+				.duration(150)
+				.attr('opacity', '0')
+				.remove()
+				.each('end', function() {
+					callback();
+				} );
+		}
+	}
+
+
+	/* ****************************************************************************
+	 *
+	 * ****************************************************************************/
+	function rebuild_chart() {
+
+		hide_tooltip();
+
+		// delete existing, if any
+		erase_chart( function() {
+
+			// Add a <g> container
+			chart.container = chart.svg
+				.append('g')
+				.attr('class', 'container')
+				.attr('opacity', '1.0');
+
+			// prep the whole thing
+			prepare_chart();
+
+			apply_size();
+
+			// Chart title
+			build_title();
+
+			// Legend
+			build_legend();
+
+			// Heatmap
+			build_heatmap();
+
+			emit('render', { root_node:chart.root_node });
+		});
+	}
+
+
+
+	/* ****************************************************************************
+	 * Playback: steps through the value indices chart.playback.from .. chart.playback.to, one frame per index.
+	 * ****************************************************************************/
+	function playback_num_frames() {
+		return chart.playback.to - chart.playback.from + 1;
+	}
+
+	function playback_label(frame) {
+		var labels = chart.playback.labels;
+		return labels && labels[frame] !== undefined ? labels[frame] : 'Frame ' + (frame+1);
+	}
+
+	// with a fixed scale, colors are computed over the leaf values of all the frames so that they compare across frames
+	function color_scale_values(leaf_values) {
+		var p = chart.playback;
+
+		if (p === null || !p.fixed_scale || !_.isNumber(chart.value_index) || chart.value_index < p.from || chart.value_index > p.to)
+			return leaf_values;
+
+		return _.flatten( _.map( _.filter(_.flatten(chart.rows, true), function(d) { return d.leaf && !d.empty; }), function(d) {
+			return d.node.values.slice(p.from, p.to+1);
+		}), true );
+	}
+
+	function go_to_frame(frame) {
+		frame = Math.max(0, Math.min(playback_num_frames()-1, frame));
+
+		chart.playback_frame = frame;
+		change_value_index(chart.playback.from + frame);
+
+		if (chart.controls !== null) {
+			chart.controls.select('input').property('value', frame);
+			chart.controls.select('span.label').text( playback_label(frame) );
+		}
+
+		emit('framechange', { frame:frame, value_index:chart.value_index, label:playback_label(frame) });
+	}
+
+	function play() {
+		if (chart.playback_timer !== null)
+			return;
+
+		// start over when at the end
+		if (chart.playback_frame >= playback_num_frames()-1)
+			go_to_frame(0);
+
+		chart.playback_timer = setInterval( function() {
+			if (chart.playback_frame < playback_num_frames()-1)
+				go_to_frame(chart.playback_frame+1);
+			else if (chart.playback.loop)
+				go_to_frame(0);
+			else
+				pause();
+		}, chart.playback.interval || 1000);
+
+		if (chart.controls !== null)
+			chart.controls.select('button').text('❚❚');
+	}
+
+	function pause() {
+		clearInterval(chart.playback_timer);
+		chart.playback_timer = null;
+
+		if (chart.controls !== null)
+			chart.controls.select('button').text('▶');
+	}
+
+	// play/pause button, slider and label of the current frame, below the chart
+	function build_playback_controls(domElement) {
+		chart.controls = d3.select(domElement)
+			.append('div')
+			.attr('class', 'tree-heatmap-playback')
+			.style('height',      chart.controls_height+'px')
+			.style('line-height', chart.controls_height+'px')
+			.style('font-size',   constants.fonts.legend)
+			.style('color',       constants.colors.legend_txt);
+
+		chart.controls.append('button')
+			.text('▶')
+			.style('width', '32px')
+			.on('click', function() {
+				if (chart.playback_timer === null)
+					play();
+				else
+					pause();
+			});
+
+		chart.controls.append('input')
+			.attr('type', 'range')
+			.attr('min',  0)
+			.attr('max',  playback_num_frames()-1)
+			.attr('step', 1)
+			.property('value', chart.playback_frame)
+			.style('vertical-align', 'middle')
+			.style('margin', '0 10px')
+			.on('change', function() {
+				pause();
+				go_to_frame( parseInt(this.value, 10) );
+			});
+
+		chart.controls.append('span')
+			.attr('class', 'label')
+			.text( playback_label(chart.playback_frame) );
+	}
+
+
+	/* ****************************************************************************
+	 * Events, see on()/off() in the public API
+	 * ****************************************************************************/
+	function emit(type, data) {
+		data.type = type;
+		_.each( (chart.listeners[type] || []).slice(), function(fn) { fn(data); } );
+	}
+
+	function emit_cell_event(type, d, source_event) {
+		if (!d.empty)
+			emit(type, { node:d.node, cell:d, source_event:source_event });
+	}
+
+	function gesture_mapped(action) {
+		return _.some(chart.gestures, function(a) { return a === action; });
+	}
+
+
+	/* ****************************************************************************
+	 * Selection. chart.selection lists the selected nodes in selection order, chart.selection_keys indexes them by node key.
+	 * Keys being stable, the selection survives changes of value index, unit, sort, etc.
+	 * ****************************************************************************/
+	function is_selected(d) {
+		return !d.empty && chart.selection_keys[node_key(d.node)] === true;
+	}
+
+	function set_selection(nodes, notify) {
+		var previous = _.keys(chart.selection_keys).sort().join('\u0001');
+
+		if (chart.selection_mode === 'single')
+			nodes = _.last(nodes, 1);
+
+		chart.selection = [];
+		chart.selection_keys = {};
+
+		_.each(nodes, function(node) {
+			var key = node_key(node);
+			if (!chart.selection_keys[key]) {
+				chart.selection_keys[key] = true;
+				chart.selection.push(node);
+			}
+		});
+
+		refresh_cell_states();
+
+		if (notify !== false && previous !== _.keys(chart.selection_keys).sort().join('\u0001'))
+			emit('selectionchange', { selection:chart.selection.slice() });
+	}
+
+	// plain click selects d alone, ctrl/cmd click toggles d, shift click selects the cells of the row from the last clicked cell to d
+	function select_cell(d, source_event) {
+		var anchor = chart.selection_anchor,
+			low, high;
+
+		if (d.empty || chart.selection_mode === 'none')
+			return;
+
+		if (chart.selection_mode === 'multi' && source_event && source_event.shiftKey && anchor && anchor.row_index === d.row_index) {
+			low  = Math.min(anchor.col_index, d.col_index);
+			high = Math.max(anchor.col_index, d.col_index);
+
+			set_selection( _.pluck( _.filter(chart.rows[d.row_index], function(c) { return !c.empty && c.col_index >= low && c.col_index <= high; }), 'node') );
+			return;
+		}
+
+		chart.selection_anchor = d;
+
+		if (chart.selection_mode === 'multi' && source_event && (source_event.ctrlKey || source_event.metaKey))
+			set_selection( is_selected(d) ? _.without(chart.selection, d.node) : chart.selection.concat([d.node]) );
+		else
+			set_selection([d.node]);
+	}
+
+
+	/* ****************************************************************************
+	 * Lazy loading. Nodes flagged with has_children=true but without children get them from opts.load_children(node),
+	 * which returns a Promise of the array of children. Loaded children are kept in node.children, which acts as cache.
+	 * chart.load_states maps the key of nodes being loaded to 'loading', and of nodes that failed to load to 'error'.
+	 * ****************************************************************************/
+	function has_children(node) {
+		return node.children !== undefined || node.has_children === true;
+	}
+
+	function needs_loading(node) {
+		return node.children === undefined && node.has_children === true && chart.load_children !== undefined;
+	}
+
+	function load_state(d) {
+		return d.empty ? undefined : chart.load_states[node_key(d.node)];
+	}
+
+	function attach_children(node, children) {
+		// prepare first, so that node still needs loading if this fails
+		_.each(children, function(child) {
+			if (chart.prepare_opts !== null)
+				createTreeHeatmap.prepare_tree(child, _.extend({}, chart.prepare_opts, { preserve_values:true }));
+		});
+
+		node.children = children;
+		_.each(children, function(child) { child.parent = node; });
+	}
+
+	// loads the children of all nodes, then invokes callback once they have all either loaded or failed
+	function load_children(nodes, callback) {
+		var pending = 0;
+
+		function done(node) {
+			refresh_cell_states();
+			if (--pending === 0)
+				callback();
+		}
+
+		nodes = _.filter(nodes, function(node) { return needs_loading(node) && chart.load_states[node_key(node)] !== 'loading'; });
+
+		if (nodes.length === 0) {
+			callback();
+			return;
+		}
+
+		pending = nodes.length;
+
+		_.each(nodes, function(node) {
+			var key = node_key(node),
+				finished = false;
+
+			chart.load_states[key] = 'loading';
+			delete node.load_error;
+
+			// loaders may throw or return a plain value, and attaching or rendering the children may fail too: all go to the error path
+			Promise.resolve()
+				.then(function() {
+					return chart.load_children(node);
+				})
+				.then(function(children) {
+					delete chart.load_states[key];
+					attach_children(node, children || []);
+					finished = true;
+					done(node);
+				})
+				.then(null, function(error) {
+					chart.load_states[key] = 'error';
+					node.load_error = error && error.message ? error.message : String(error);
+					emit('loaderror', { node:node, error:error });
+
+					if (!finished)
+						done(node);
+					else
+						refresh_cell_states();
+				});
+		});
+
+		refresh_cell_states();
+	}
+
+	// loads whatever is missing for the tree to be displayed down to the desired depth, level after level
+	function load_to_depth(callback) {
+		var nodes = [];
+
+		(function collect(node, level) {
+			if (level >= chart.desired_max_depth)
+				return;
+			if (needs_loading(node) && chart.load_states[node_key(node)] === undefined)
+				nodes.push(node);
+			_.each(node.children, function(child) { collect(child, level+1); });
+		})(chart.root_node, 0);
+
+		if (nodes.length === 0)
+			callback();
+		else
+			load_children(nodes, function() { load_to_depth(callback); });
+	}
+
+	function change_depth(depth) {
+		chart.desired_max_depth = Math.max(1, depth);
+
+		// give nodes that failed to load another chance
+		_.each(chart.load_states, function(state, key) {
+			if (state === 'error')
+				delete chart.load_states[key];
+		});
+
+		load_to_depth(rebuild_chart);
+	}
+
+
+	/* ****************************************************************************
+	 * Refresh the state related visuals of the cells: dimming, outlines, loading
+	 * ****************************************************************************/
+	function refresh_cell_states() {
+		var cells;
+
+		if (chart.container === undefined)
+			return;
+
+		if (chart.renderer === 'canvas') {
+			draw_canvas();
+			return;
+		}
+
+		cells = chart.container.selectAll('g.chart g.cell')
+			.classed('loading',    function(d) { return load_state(d) === 'loading'; })
+			.classed('load-error', function(d) { return load_state(d) === 'error'; });
+
+		cells.transition()
+			.duration(300)
+			.attr('opacity', cell_group_opacity);
+
+		cells.select('rect')
+			.classed('selected', is_selected)
+			.attr('stroke', cell_stroke);
+	}
+
+
+	/* ****************************************************************************
+	 * Search. chart.highlight is the predicate of the current search (or null), chart.highlight_states maps the key
+	 * of matching nodes to 'match' and the key of their ancestors (up to the root node) to 'ancestor'.
+	 * ****************************************************************************/
+	function highlight_predicate(query) {
+		var needle;
+
+		if (query === undefined || query === null || query === '')
+			return null;
+
+		if (_.isFunction(query))
+			return query;
+
+		// without the g and y flags, test() does not carry lastIndex over from one node to the next
+		if (_.isRegExp(query)) {
+			query = new RegExp(query.source, (query.ignoreCase ? 'i' : '') + (query.multiline ? 'm' : ''));
+			return function(node) { return query.test(node.label_long) || query.test(node.label_short); };
+		}
+
+		needle = String(query).toLowerCase();
+		return function(node) {
+			return String(node.label_long).toLowerCase().indexOf(needle) >= 0 || String(node.label_short).toLowerCase().indexOf(needle) >= 0;
+		};
+	}
+
+	// returns the matching nodes below (and including) the root node, along with their level relative to the root node
+	function compute_highlight() {
+		var matches = [];
+
+		chart.highlight_states = {};
+
+		if (chart.highlight === null)
+			return matches;
+
+		(function search(node, level) {
+			var n, up;
+
+			if (chart.highlight(node)) {
+				matches.push({ node:node, level:level });
+				chart.highlight_states[node_key(node)] = 'match';
+
+				for (n = node.parent, up = level; n !== null && n !== undefined && up > 0; n = n.parent, up--) {
+					if (chart.highlight_states[node_key(n)] === undefined)
+						chart.highlight_states[node_key(n)] = 'ancestor';
+				}
+			}
+
+			_.each(node.children, function(child) { search(child, level+1); });
+		})(chart.root_node, 0);
+
+		return matches;
+	}
+
+	function highlight_state(d) {
+		if (chart.highlight === null || d.empty)
+			return null;
+
+		// Others groups lead to the matches they hide
+		if (d.node.others === true)
+			return _.some(d.node.grouped, function(n) { return chart.highlight_states[node_key(n)] !== undefined; }) ? 'ancestor' : null;
+
+		return chart.highlight_states[node_key(d.node)] || null;
+	}
+
+	function highlight(query, options) {
+		var matches,
+			deepest;
+
+		chart.highlight = highlight_predicate(query);
+		matches = compute_highlight();
+
+		deepest = _.max( _.pluck(matches, 'level') );
+
+		// expand the chart down to the deepest match
+		if (options && options.reveal && matches.length > 0 && deepest > chart.max_depth) {
+			chart.desired_max_depth = deepest;
+			update_chart();
+		}
+		else {
+			refresh_cell_states();
+		}
+
+		return _.pluck(matches, 'node');
 	}
 
 
 	/* ****************************************************************************
-	 *
+	 * Update the chart in place, moving cells to their new location instead of erasing and rebuilding everything
 	 * ****************************************************************************/
-	function build_title() {
-		var gtitle;
+	function update_chart() {
 
-		chart.container.selectAll('g.title').remove();
+		hide_tooltip();
 
-		gtitle = chart.container.selectAll('g.title').data([1]);
-		gtitle.enter()
-				.append('g')
-				.attr('class', 'title');
+		prepare_chart();
 
-		gtitle.selectAll('text')
-			.data([chart.title])
-			.enter()
-				.append('text')
-	 				.text( function(d) { return d; } )
-					.attr("class","chartTitle")
-					.attr('text-anchor', 'start')
-					.attr('font-size',   '32px')
-					.attr('font-weight', 'bold')
-					.attr('fill','#000')
-					.attr("x",2)
-					.attr("y",30);
-	}
+		apply_size();
 
+		build_title();
 
-	/* ****************************************************************************
-	 *
-	 * ****************************************************************************/
-	function erase_chart(callback) {
+		build_legend();
 
-		var gcontainer = chart.svg.select('g.container');
+		build_heatmap();
 
-		if (gcontainer.empty()) {
-			callback();
-		}
-		else {
-			gcontainer.transition()
-				.duration(150)
-				.attr('opacity', '0')
-				.remove()
-				.each('end', function() {
-					callback();
-				} );
-		}
+		emit('render', { root_node:chart.root_node });
 	}
 
 
 	/* ****************************************************************************
-	 *
+	 * Replace the data with a new version of the tree, keeping the current root node if it still exists in it
 	 * ****************************************************************************/
-	function rebuild_chart() {
+	function update_data(tree) {
+		var root_key = node_key(chart.root_node);
 
-		// delete existing, if any
-		erase_chart( function() {
+		// the tree may be the current one edited in place: aggregate again in any case (opts.preserve_values still applies)
+		if (chart.prepare_opts !== null)
+			createTreeHeatmap.prepare_tree(tree, chart.prepare_opts);
 
-			// Add a <g> container
-			chart.container = chart.svg
-				.append('g')
-				.attr('class', 'container')
-				.attr('opacity', '1.0');
+		chart.root_node = find_node(tree, root_key) || tree;
 
-			// prep the whole thing
-			prepare_chart();
+		// selected nodes now live in the new tree
+		set_selection( _.compact( _.map(chart.selection, function(node) {
+			return node.others === true ? null : find_node(tree, node_key(node));
+		}) ) );
 
-			// Chart title
-			build_title();
+		update_chart();
+	}
 
-			// Legend
-			build_legend();
 
-			// Heatmap
-			build_heatmap();
-		});
+	/* ****************************************************************************
+	 *
+	 * ****************************************************************************/
+	function set_root_node(node) {
+		chart.root_node = node;
+		load_to_depth(rebuild_chart);
 	}
 
+	// drill from a root node to another one, node being the cell or breadcrumb that was hit
+	function drill(is_drill_down, from, to, node) {
+		emit('drill', { direction:is_drill_down ? 'down' : 'up', from:from, to:to, node:node });
+
+		// legacy handler decides what to do, otherwise drill ourselves
+		if (chart.click_handler !== undefined)
+			chart.click_handler(is_drill_down, from, node);
+		else
+			set_root_node(to);
+	}
 
 
 	/* ****************************************************************************
 	 *
 	 * ****************************************************************************/
 	 function change_unit(new_unit) {
-	 	if (new_unit === undefined)
+	 	if (unit_def(new_unit) === undefined)
 	 		return;
 
 		var gmap = chart.container.selectAll('g.chart');
-		var prev_unit = chart.unit;
+		var prev_hidden = current_unit().hidden === true;
 		chart.unit = new_unit;
 
+		var hidden = current_unit().hidden === true;
+
+		if (chart.renderer === 'canvas') {
+			if (!hidden)
+				build_legend();
+			draw_canvas();
+			return;
+		}
+
 		// animate show/hide labels as we transition to/from showing no labels
-		if (prev_unit === constants.units.NONE || chart.unit === constants.units.NONE) {
+		if (prev_hidden || hidden) {
 			gmap.selectAll('.leaf text')
 				.transition()
 				.duration(300)
-				.attr('opacity', chart.unit === constants.units.NONE ? '0':'1.0');
+				.attr('opacity', hidden ? '0':'1.0');
 		}
 
 
-		if (chart.unit !== constants.units.NONE) {
+		if (!hidden) {
 
 			var value_cells = gmap.selectAll('text.value');
 
@@ -793,7 +2999,7 @@ function createTreeHeatmap(domElement, root_node, opts) {
 			build_legend();
 
 			// if we currently have a unit displayed (that is, toggle $-%):
-			if (prev_unit !== constants.units.NONE) {
+			if (!prev_hidden) {
 
 				// hide current
 				value_cells.transition()
@@ -821,41 +3027,76 @@ function createTreeHeatmap(domElement, root_node, opts) {
 					.attr('opacity', '1.0');
 			}
 		}
+
+		// values of another unit may not fit where the previous ones did
+		fit_cell_texts(gmap.selectAll('g.cell'));
 	 }
 
+	/* ****************************************************************************
+	 * Percent units only change text: cells stay in place
+	 * ****************************************************************************/
+	function change_percent_basis(basis) {
+		chart.percent_basis = basis || 'root';
+
+		if (!value_unit().percent)
+			return;
+
+		build_legend();
+
+		if (chart.renderer === 'canvas') {
+			draw_canvas();
+			return;
+		}
+
+		chart.container.selectAll('g.chart .cell text.value')
+			.text(cell_value_text);
+
+		fit_cell_texts(chart.container.selectAll('g.chart g.cell'));
+	}
+
 	/* ****************************************************************************
 	 *
 	 * ****************************************************************************/
 	function change_value_index(new_index) {
 		var gmap = chart.container.selectAll('g.chart'),
-			min_leaf_value = null,
-			max_leaf_value = null;
+			leaf_values = [];
 
 		// set new index
 		chart.value_index = new_index;
 
+		// cells may have to move around
+		if (sort_uses_value() || chart.filter !== null || chart.max_children !== null) {
+			update_chart();
+			return;
+		}
+
 		// recalc the values, not just leafs
-		gmap.selectAll('g.cell').each( function(d) {
+		chart.num_missing = 0;
+		_.each( _.flatten(chart.rows, true), function(d) {
 			if (!d.empty) {
-				d.value = d.node.values[chart.value_index];
-
-				// compute min/max leaf values
-				if (d.leaf) {
-					if (min_leaf_value === null || d.value < min_leaf_value)
-						min_leaf_value = d.value;
-
-					if (max_leaf_value === null || d.value > max_leaf_value)
-						max_leaf_value = d.value;
-				}
+				d.value = node_value(d.node);
+				d.missing = is_missing(d.value);
+
+				// collect leaf values
+				if (d.leaf && d.missing)
+					chart.num_missing++;
+				else if (d.leaf)
+					leaf_values.push(d.value);
 			}
 		});
+		chart.level_totals = null;
 
-		// rebuild legend values
-		update_legend_values(min_leaf_value, max_leaf_value);
+		// rebuild the color scale
+		build_color_scale( color_scale_values(leaf_values) );
 
 		// rebuild the legend data: boundary values and labels
 		build_legend();
 
+		if (chart.renderer === 'canvas') {
+			draw_canvas();
+			return;
+		}
+
 		// // update the title
 		// chart.svg.select('.chartTitle')
 		// 	.text( function(){ return get_current_title(); });
@@ -864,52 +3105,526 @@ function createTreeHeatmap(domElement, root_node, opts) {
 		gmap.selectAll('.leaf rect')
 			.transition()
 			.duration(300)
-			.style('fill', cell_rect_fill);
+			.attr('fill', cell_rect_fill);
 
 		// transition leaf cells text color
 		gmap.selectAll('.leaf text')
 			.transition()
 			.duration(300)
-			.style('fill', cell_text_fill);
+			.attr('fill', cell_text_fill);
 
-		// update text for all cells
+		// count all values up/down to their new value
 		gmap.selectAll('.cell text.value')
 			.transition()
 			.duration(300)
-			.style('fill', cell_text_fill)
-			.text( cell_value_text );
+			.attr('fill', cell_text_fill)
+			.tween('text', value_text_tween);
+
+		// fit the final values, not the tweened ones
+		fit_cell_texts(gmap.selectAll('g.cell'));
 	}
 
 
 	 // Setup
 	 initialize(domElement, root_node, opts);
-	 rebuild_chart();
+	 load_to_depth(rebuild_chart);
 
 
 	// Public API
 	return {
 		// Set a new root node to be displayed using the current depth
 		change_root_node: function(node) {
-			chart.root_node = node;
-			rebuild_chart();
+			// new trees have no parent links yet
+			if (node.parent === undefined && chart.prepare_opts !== null)
+				createTreeHeatmap.prepare_tree(node, chart.prepare_opts);
+
+			set_root_node(node);
+		},
+
+		// Subscribe to events, see the list at the top of this file
+		on: function(type, fn) {
+			(chart.listeners[type] = chart.listeners[type] || []).push(fn);
+			return this;
+		},
+
+		// Unsubscribe fn from events of the given type, or all listeners of that type if fn is omitted
+		off: function(type, fn) {
+			chart.listeners[type] = fn === undefined ? [] : _.without(chart.listeners[type] || [], fn);
+			return this;
+		},
+
+		// Replace the data with a new version of the same tree, or the same tree edited in place. Cells are matched by node id and animated to their new values.
+		update_data: function(tree) {
+			update_data(tree);
+		},
+
+		// Re-layout the chart for a new size. Height is ignored in fit_height mode
+		resize: function(width, height) {
+			resize(width, height);
+		},
+
+		// Change the unit values are displayed in, by name (e.g. 'NONE', 'CURRENCY', 'PERCENT', 'COMPACT', 'DECIMAL')
+		change_unit: function(name) {
+			change_unit(name);
+		},
+
+		// What percent units are a share of: 'root', 'parent', 'column' or 'level'
+		change_percent_basis: function(basis) {
+			change_percent_basis(basis);
 		},
 
-		// Change between No unit, USD or % values
-		change_unit: function(n) {
-			change_unit( constants.units[n] );
+		// Add a unit to this chart, or replace one. See createTreeHeatmap.units
+		register_unit: function(name, unit) {
+			chart.units[name] = unit;
 		},
 
 		// change the depth of the tree to be displayed
 		change_depth: function(depth) {
-			chart.desired_max_depth = depth;
-			if (chart.desired_max_depth < 1)
-				chart.desired_max_depth = 1;
-
-			rebuild_chart();
+			change_depth(depth);
 		},
 
 		change_value_index: function(value_index) {
 			change_value_index(value_index);
 		},
+
+		// Emphasize the cells matching query and dim all others. query is a string (case insensitive search in labels),
+		// a regular expression or a function(node). Passing null clears the highlight.
+		// options.reveal: expand the depth so that matches below the current depth are displayed.
+		// Returns the matching nodes below the root node.
+		highlight: function(query, options) {
+			return highlight(query, options);
+		},
+
+		// Hide small nodes, see opts.filter. Pass null to show everything again
+		change_filter: function(filter) {
+			chart.filter = filter || null;
+			update_chart();
+		},
+
+		// Change the number of children kept before grouping the rest into "Others", see opts.max_children.
+		// Others groups expanded so far are collapsed again.
+		change_max_children: function(max) {
+			chart.max_children = max || null;
+			chart.expanded_others = {};
+			update_chart();
+		},
+
+		// Collapse the "Others" groups that have been expanded
+		collapse_others: function() {
+			chart.expanded_others = {};
+			update_chart();
+		},
+
+		// Selected nodes, in selection order
+		get_selection: function() {
+			return chart.selection.slice();
+		},
+
+		// Select the given nodes, replacing the current selection
+		set_selection: function(nodes) {
+			set_selection(nodes || []);
+		},
+
+		clear_selection: function() {
+			set_selection([]);
+		},
+
+		// Playback, see opts.playback
+		play: function() {
+			play();
+		},
+
+		pause: function() {
+			pause();
+		},
+
+		go_to_frame: function(frame) {
+			go_to_frame(frame);
+		},
+
+		// Change the order of children, see opts.sort. Cells are animated to their new location
+		change_sort: function(sort) {
+			chart.sort = sort || null;
+			update_chart();
+		},
+
+		// Current view as a standalone SVG document (string)
+		export_svg: function() {
+			return export_svg();
+		},
+
+		// Current view as a PNG, scale defaults to 1. callback(data_url, blob), with nulls if the export failed
+		export_png: function(scale, callback) {
+			export_png(scale, callback);
+		},
+
+		// Visible cells as CSV text, values in the current unit
+		export_csv: function() {
+			return export_csv();
+		},
+
+		// Change the look of the chart: either the name of a bundled theme (see createTreeHeatmap.themes) or an object
+		// deep merged over the default theme
+		set_theme: function(theme) {
+			initialize_constants(theme);
+			apply_background();
+			rebuild_chart();
+		},
 	};
 }
+
+
+/*
+ * Prepares a tree for rendering:
+ *	- sets the 'parent' attribute of each node (null for the root node)
+ *	- computes the values of internal nodes from the values of the leaves below them
+ *
+ * opts (all optional):
+ *	aggregators:		one entry per index in values[], see createTreeHeatmap() opts.aggregators. Defaults to 'sum'.
+ *	preserve_values:	if true, internal nodes that already carry values are left untouched
+ *	missing_values:		'skip' (default): missing leaf values (see createTreeHeatmap.is_missing) are not given to aggregators,
+ *						and internal nodes without any value below them get a null value. 'zero': missing values count as 0.
+ *
+ * Returns root_node.
+ */
+createTreeHeatmap.prepare_tree = function(root_node, opts) {
+	var num_values = 0,
+		aggregate_values;
+
+	opts = opts || {};
+
+	function link_parents(node, parent) {
+		node.parent = parent;
+
+		// children may have changed: rank siblings having the same label again, see node_key()
+		delete node.label_rank;
+
+		if (node.children === undefined)
+			num_values = Math.max(num_values, node.values ? node.values.length : 0);
+		else
+			_.each(node.children, function(child){ link_parents(child, node); });
+	}
+
+	// returns the leaves below node
+	function aggregate(node) {
+		var leaves;
+
+		if (node.children === undefined)
+			return [node];
+
+		leaves = _.flatten( _.map(node.children, aggregate), true );
+
+		if (node.values === undefined || !opts.preserve_values)
+			node.values = aggregate_values(leaves, node);
+
+		return leaves;
+	}
+
+	link_parents(root_node, null);
+
+	aggregate_values = createTreeHeatmap.values_aggregator(opts, num_values);
+
+	aggregate(root_node);
+
+	return root_node;
+};
+
+
+/*
+ * Returns a function(leaves, node) computing the num_values values of node from the leaves below it,
+ * following opts.aggregators and opts.missing_values (see createTreeHeatmap.prepare_tree())
+ */
+createTreeHeatmap.values_aggregator = function(opts, num_values) {
+	var aggregators;
+
+	function resolve_aggregator(spec) {
+		var fn;
+
+		if (_.isFunction(spec))
+			return spec;
+
+		spec = _.isString(spec) ? { type:spec } : (spec || { type:'sum' });
+
+		// unknown aggregators default to a sum
+		fn = createTreeHeatmap.aggregators[spec.type] || createTreeHeatmap.aggregators.sum;
+
+		return function(values, leaves, node) { return fn(values, leaves, spec); };
+	}
+
+	opts = opts || {};
+
+	aggregators = _.map(_.range(num_values), function(index) {
+		return resolve_aggregator( opts.aggregators ? opts.aggregators[index] : undefined );
+	});
+
+	return function(leaves, node) {
+		return _.map(aggregators, function(aggregator, index) {
+			var present = opts.missing_values === 'zero' ? leaves : _.reject(leaves, function(leaf) { return createTreeHeatmap.is_missing(leaf.values[index]); });
+
+			if (present.length === 0)
+				return null;
+
+			return aggregator( _.map(present, function(leaf) { var v = leaf.values[index]; return createTreeHeatmap.is_missing(v) ? 0 : v; }), present, node );
+		});
+	};
+};
+
+
+/*
+ * Whether value stands for missing data: undefined, null, NaN or infinite
+ */
+createTreeHeatmap.is_missing = function(value) {
+	return !_.isNumber(value) || !isFinite(value);
+};
+
+
+/*
+ * Builds a tree from flat records (array of objects), ready to be given to createTreeHeatmap() or change_root_node().
+ * Records sharing the same values for all the grouping columns are summed into a single leaf.
+ * Nodes get an id made of their grouping values, so that nodes having the same label (e.g. from a labels column) stay distinct.
+ *
+ * spec:
+ *	group_by:			columns defining the hierarchy, one per level below the root. e.g. ['region', 'country', 'city']
+ *	measures:			columns making up the values[] of each leaf. e.g. ['revenue', 'cost']
+ *	labels:				optional, one entry per group_by column giving the columns holding the labels of that level.
+ *							Either a column name (used as both long and short label) or {long:'column', short:'column'}.
+ *							By default the group_by value is used as label.
+ *	root_label:			label of the root node. Defaults to 'Total'.
+ *	aggregators, preserve_values, missing_values: passed along to createTreeHeatmap.prepare_tree()
+ */
+createTreeHeatmap.tree_from_records = function(records, spec) {
+	var root = { label_short:spec.root_label || 'Total', label_long:spec.root_label || 'Total', children:[] },
+		labels = spec.labels || [],
+		nodes = {};
+
+	function to_number(value) {
+		return (value === undefined || value === null || value === '') ? undefined : +value;
+	}
+
+	function label(record, level, column) {
+		var l = labels[level],
+			value = record[ _.isString(l) ? l : (l && l[column]) || spec.group_by[level] ];
+
+		return value === undefined || value === null ? '' : String(value);
+	}
+
+	function add_values(node, record) {
+		_.each(spec.measures, function(measure, index) {
+			var value = to_number(record[measure]);
+
+			if (value !== undefined)
+				node.values[index] = node.values[index] === undefined ? value : node.values[index] + value;
+		});
+	}
+
+	_.each(records, function(record) {
+		var parent = root,
+			key = '';
+
+		_.each(spec.group_by, function(column, level) {
+			var node,
+				is_leaf = level === spec.group_by.length-1;
+
+			key += '\u0000' + record[column];
+			node = nodes[key];
+
+			if (node === undefined) {
+				node = nodes[key] = { id:key, label_short:label(record, level, 'short'), label_long:label(record, level, 'long') };
+
+				if (is_leaf)
+					node.values = new Array(spec.measures.length);
+				else
+					node.children = [];
+
+				parent.children.push(node);
+			}
+
+			if (is_leaf)
+				add_values(node, record);
+
+			parent = node;
+		});
+	});
+
+	return createTreeHeatmap.prepare_tree(root, spec);
+};
+
+
+/*
+ * Same as createTreeHeatmap.tree_from_records() but from CSV text with a header row
+ */
+createTreeHeatmap.tree_from_csv = function(csv_text, spec) {
+	return createTreeHeatmap.tree_from_records(d3.csv.parse(csv_text), spec);
+};
+
+
+/*
+ * Built-in aggregators, usable by name in opts.aggregators.
+ * Each is a function(leaf_values, leaves, spec) where spec is the aggregator entry given in opts, e.g. {type:'weighted_mean', weight_index:1}
+ */
+createTreeHeatmap.aggregators = {
+	sum:   function(values) { return d3.sum(values); },
+	mean:  function(values) { return d3.mean(values); },
+	min:   function(values) { return d3.min(values); },
+	max:   function(values) { return d3.max(values); },
+	count: function(values) { return values.length; },
+
+	weighted_mean: function(values, leaves, spec) {
+		var total = 0,
+			total_weight = 0;
+
+		_.each(values, function(value, index) {
+			var weight = leaves[index].values[spec.weight_index];
+			if (createTreeHeatmap.is_missing(weight))
+				return;
+			total += value*weight;
+			total_weight += weight;
+		});
+
+		return total_weight === 0 ? 0 : total / total_weight;
+	},
+};
+
+
+/*
+ * Number formatter: function(value) returning value as text with the given number of decimals (spec.decimals, defaults to 0).
+ * Digits are grouped (spec.grouping, defaults to true) by thousands, or according to spec.locale (e.g. 'de-DE') when given.
+ */
+createTreeHeatmap.number_formatter = function(spec) {
+	var decimals = spec && spec.decimals !== undefined ? spec.decimals : 0,
+		grouping = !spec || spec.grouping !== false,
+		format;
+
+	if (spec && spec.locale && window.Intl) {
+		format = new Intl.NumberFormat(spec.locale, { minimumFractionDigits:decimals, maximumFractionDigits:decimals, useGrouping:grouping }).format;
+		return function(value) { return format(value); };
+	}
+
+	format = d3.format((grouping ? ',' : '') + '.' + decimals + 'f');
+	return function(value) { return format(value); };
+};
+
+/*
+ * Currency unit. spec (all optional): symbol (e.g. '$'), position of the symbol ('before', default, or 'after'),
+ * decimals (defaults to 0), locale (digit grouping, see number_formatter)
+ */
+createTreeHeatmap.currency_unit = function(spec) {
+	spec = spec || {};
+
+	var format = createTreeHeatmap.number_formatter(spec),
+		symbol = spec.symbol || '';
+
+	function cell(value) {
+		var digits = format(Math.abs(value)),
+			sign = value < 0 && digits !== format(0) ? '-' : '';
+
+		if (!symbol)
+			return sign + digits;
+
+		return sign + (spec.position === 'after' ? digits + '\u00a0' + symbol : symbol + digits);
+	}
+
+	return { cell:cell, legend:cell };
+};
+
+/*
+ * Compact unit using SI prefixes: 1234567 is displayed as 1.2M. spec (all optional): precision (significant digits, defaults to 2), symbol (prefix, e.g. '$')
+ */
+createTreeHeatmap.compact_unit = function(spec) {
+	spec = spec || {};
+
+	var format = d3.format('.' + (spec.precision || 2) + 's'),
+		symbol = spec.symbol || '';
+
+	function cell(value) {
+		return (value < 0 ? '-' : '') + symbol + format(Math.abs(value));
+	}
+
+	return { cell:cell, legend:cell };
+};
+
+/*
+ * Plain decimal unit. spec (all optional): decimals (defaults to 2), locale and grouping (see number_formatter)
+ */
+createTreeHeatmap.decimal_unit = function(spec) {
+	var format = createTreeHeatmap.number_formatter( _.extend({ decimals:2 }, spec) );
+	return { cell:format, legend:format };
+};
+
+
+/*
+ * Units, usable by name through opts.unit and change_unit(). Each unit is an object with:
+ *	cell:		function(value) returning the text of a value in cells, the tooltip and the legend
+ *	legend:		function(value) returning the text of legend labels, if they should differ from cells
+ *	percent:	if true, values are converted to a percentage before being formatted: a share of the root node, parent, column or level
+ *				depending on opts.percent_basis (see change_percent_basis())
+ *	hidden:		if true, leaf cells do not show their value
+ * Add units with createTreeHeatmap.register_unit(name, unit), or to a single chart with opts.units and register_unit().
+ */
+createTreeHeatmap.units = {
+	NONE:     _.extend(createTreeHeatmap.currency_unit(), { hidden:true }),
+	CURRENCY: createTreeHeatmap.currency_unit(),
+	PERCENT:  { percent:true, cell:function(value) { return d3.round(value, 1) + '%'; } },
+	COMPACT:  createTreeHeatmap.compact_unit(),
+	DECIMAL:  createTreeHeatmap.decimal_unit(),
+};
+
+createTreeHeatmap.register_unit = function(name, unit) {
+	createTreeHeatmap.units[name] = unit;
+};
+
+/*
+ * Default units of the derived metrics, by type (see opts.metrics). Metrics of other types use the current unit.
+ * percent_change and margin are already percentages: their unit formats them as is, unlike PERCENT which takes a share of a basis.
+ */
+createTreeHeatmap.metric_units = {
+	ratio:          createTreeHeatmap.decimal_unit(),
+	percent_change: { cell:function(value) { return d3.round(value, 1) + '%'; } },
+	margin:         { cell:function(value) { return d3.round(value, 1) + '%'; } },
+};
+
+/*
+ * Bundled themes, usable by name through opts.theme or set_theme()
+ */
+createTreeHeatmap.themes = {
+
+	dark: {
+		colors: {
+			background:     '#1e1e1e',
+			title:          '#eee',
+			legend_txt:     '#ccc',
+			breadcrumb:     '#6fa8dc',
+			breadcrumb_current: '#eee',
+			empty_cell_bg:  '#1e1e1e',
+			tooltip_bg:     '#333',
+			tooltip_txt:    '#eee',
+			leaf_cell_bg:   ['#1f3b2c', '#22693f', '#3aa45a', '#8ee08a'],
+			header_cell_bg: ['#2b3a4e', '#34506e', '#3f6a91'],
+			diverging_bg:   ['#d6604d', '#7a3a35', '#2e2e2e', '#35587a', '#4393c3'],
+			text_dark:      '#1e1e1e',
+			text_light:     '#f0f0f0',
+			no_data:        '#4a4a4a'
+		}
+	},
+
+	// high contrast, grayscale friendly. Suitable for printing
+	print: {
+		corner_radius: 0,
+		no_data_hatch: true,
+		cell_margin: { h:1, v:1 },
+		colors: {
+			background:     '#fff',
+			title:          '#000',
+			legend_txt:     '#000',
+			breadcrumb:     '#000',
+			breadcrumb_current: '#000',
+			empty_cell_bg:  '#fff',
+			leaf_cell_bg:   ['#f0f0f0', '#bdbdbd', '#737373', '#252525'],
+			header_cell_bg: ['#000', '#333', '#4d4d4d'],
+			diverging_bg:   ['#000', '#737373', '#fff', '#bdbdbd', '#525252'],
+			text_dark:      '#000',
+			text_light:     '#fff',
+			no_data:        '#fff'
+		}
+	},
+};